@@ -305,6 +305,17 @@ contract ConsentManager is AccessControl, Pausable {
         return consents[patientId][researcherId][dataCategory];
     }
 
+    /**
+     * @dev Get the price per access the patient agreed to in a consent
+     */
+    function getAgreedPrice(
+        bytes32 patientId,
+        bytes32 researcherId,
+        bytes32 dataCategory
+    ) external view returns (uint256) {
+        return consents[patientId][researcherId][dataCategory].agreedPrice;
+    }
+
     function pause() external onlyRole(DEFAULT_ADMIN_ROLE) {
         _pause();
     }
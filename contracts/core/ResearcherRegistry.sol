@@ -253,6 +253,13 @@ contract ResearcherRegistry is AccessControl, Pausable {
         return 1;
     }
 
+    /**
+     * @dev Get researcher's wallet address
+     */
+    function getResearcherWallet(bytes32 researcherId) external view returns (address) {
+        return researchers[researcherId].walletAddress;
+    }
+
     /**
      * @dev Check if researcher is verified
      */
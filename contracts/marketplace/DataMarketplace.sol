@@ -19,6 +19,13 @@ interface IResearcherRegistry {
     function hasCategoryAccess(bytes32 researcherId, bytes32 category) external view returns (bool);
     function recordDataAccess(bytes32 researcherId, uint256 amount) external;
     function getAccessTier(bytes32 researcherId) external view returns (uint256);
+    function getResearcherWallet(bytes32 researcherId) external view returns (address);
+    function accessTiers(uint256 tier) external view returns (
+        string memory name,
+        uint256 requiredReputation,
+        uint256 maxConcurrentAccess,
+        uint256 discountBps
+    );
 }
 
 interface IConsentManager {
@@ -26,12 +33,20 @@ interface IConsentManager {
         external returns (bool valid, uint256 price);
     function isConsentValid(bytes32 patientId, bytes32 researcherId, bytes32 dataCategory) 
         external view returns (bool);
+    function getAgreedPrice(bytes32 patientId, bytes32 researcherId, bytes32 dataCategory)
+        external view returns (uint256);
+    function patientMinPrice(bytes32 patientId) external view returns (uint256);
 }
 
 /**
  * @title DataMarketplace
  * @dev Core marketplace for healthcare data trading
- * @notice Handles data listings, purchases, and royalty distribution
+ * @notice Handles data listings, purchases, and royalty distribution.
+ *         The offered price is escrowed when access is requested, released to the
+ *         patient on completion and refunded on rejection, cancellation or expiry while
+ *         pending. An approved request that expires pays its escrow out to the patient.
+ *         While a request is pending the patient and researcher can trade counter-offers;
+ *         a price the other side accepted is charged as is on completion.
  */
 contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     using SafeERC20 for IERC20;
@@ -49,6 +64,9 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
 
     address public platformFeeRecipient;
 
+    // Pending or approved requests can be expired and settled after this long
+    uint256 public requestTimeout = 30 days;
+
     struct DataListing {
         bytes32 listingId;
         bytes32 patientId;
@@ -78,7 +96,13 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         Approved,
         Rejected,
         Completed,
-        Cancelled
+        Cancelled,
+        Expired
+    }
+
+    struct Escrow {
+        address payer;                   // Researcher wallet the funds came from
+        uint256 amount;
     }
 
     // Storage
@@ -86,12 +110,17 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     mapping(bytes32 => DataAccessRequest) public accessRequests;
     mapping(bytes32 => bytes32[]) public patientListings;      // patientId => listingIds
     mapping(bytes32 => bytes32[]) public researcherRequests;   // researcherId => requestIds
+    mapping(bytes32 => Escrow) public escrows;                 // requestId => held funds
+    mapping(bytes32 => uint256) public counterOffers;          // requestId => open counter-offer
+    mapping(bytes32 => bool) public counterByResearcher;       // requestId => open counter is the researcher's
+    mapping(bytes32 => bool) public negotiated;                // requestId => price set by negotiation
 
     bytes32[] public allListings;
     bytes32[] public allRequests;
     uint256 public totalListings;
     uint256 public totalTransactions;
     uint256 public totalVolume;
+    uint256 public totalEscrowed;
 
     // Events
     event ListingCreated(
@@ -112,6 +141,18 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     event AccessApproved(bytes32 indexed requestId, string decryptionKeyURI);
     event AccessRejected(bytes32 indexed requestId, string reason);
     event AccessCompleted(bytes32 indexed requestId, uint256 patientPayout, uint256 platformFee);
+    event AccessCancelled(bytes32 indexed requestId);
+    event AccessExpired(bytes32 indexed requestId);
+    event ExpiredAccessSettled(bytes32 indexed requestId, uint256 patientPayout, uint256 platformFee);
+
+    event CounterOffered(bytes32 indexed requestId, uint256 price);
+    event CounterOfferAccepted(bytes32 indexed requestId, uint256 price);
+    event OfferRevised(bytes32 indexed requestId, uint256 price);
+
+    event EscrowDeposited(bytes32 indexed requestId, address indexed payer, uint256 amount);
+    event EscrowReleased(bytes32 indexed requestId, uint256 amount);
+    event EscrowRefunded(bytes32 indexed requestId, address indexed payer, uint256 amount);
+    event EscrowAdjusted(bytes32 indexed requestId, uint256 oldAmount, uint256 newAmount);
     
     event PaymentProcessed(
         bytes32 indexed patientId,
@@ -121,6 +162,8 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     );
 
     event PlatformFeeUpdated(uint256 oldFeeBps, uint256 newFeeBps);
+    event PlatformFeeRecipientUpdated(address indexed oldRecipient, address indexed newRecipient);
+    event RequestTimeoutUpdated(uint256 oldTimeout, uint256 newTimeout);
 
     constructor(
         address admin,
@@ -185,7 +228,8 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Request access to a data listing
+     * @dev Request access to a data listing and escrow the offered price
+     * @notice The researcher's wallet must have approved this contract for offeredPrice
      */
     function requestAccess(
         bytes32 requestId,
@@ -193,13 +237,13 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         bytes32 listingId,
         string calldata purpose,
         uint256 offeredPrice
-    ) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+    ) external onlyRole(OPERATOR_ROLE) nonReentrant whenNotPaused {
         require(accessRequests[requestId].requestedAt == 0, "Request exists");
         require(researcherRegistry.isVerified(researcherId), "Researcher not verified");
         
         DataListing memory listing = listings[listingId];
         require(listing.isActive, "Listing not active");
-        require(offeredPrice >= listing.basePrice, "Price too low");
+        require(offeredPrice >= tierPrice(researcherId, listingId), "Price too low");
 
         // Check researcher has category access
         require(
@@ -221,7 +265,44 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         researcherRequests[researcherId].push(requestId);
         allRequests.push(requestId);
 
+        address payer = researcherRegistry.getResearcherWallet(researcherId);
+        escrows[requestId] = Escrow({ payer: payer, amount: offeredPrice });
+        totalEscrowed += offeredPrice;
+        healthToken.safeTransferFrom(payer, address(this), offeredPrice);
+
         emit AccessRequested(requestId, researcherId, listingId, offeredPrice);
+        emit EscrowDeposited(requestId, payer, offeredPrice);
+    }
+
+    /**
+     * @dev Listing base price after the researcher's access tier discount
+     */
+    function tierPrice(bytes32 researcherId, bytes32 listingId) public view returns (uint256) {
+        uint256 basePrice = listings[listingId].basePrice;
+        (, , , uint256 discountBps) = researcherRegistry.accessTiers(
+            researcherRegistry.getAccessTier(researcherId)
+        );
+        return basePrice - (basePrice * discountBps) / 10000;
+    }
+
+    /**
+     * @dev Lowest price a researcher may revise a request to: the tier price,
+     *      the patient's minimum price and the consent's agreed price
+     */
+    function minimumOffer(bytes32 requestId) public view returns (uint256) {
+        DataAccessRequest storage request = accessRequests[requestId];
+        DataListing storage listing = listings[request.listingId];
+
+        uint256 minimum = tierPrice(request.researcherId, request.listingId);
+        uint256 patientMinimum = consentManager.patientMinPrice(listing.patientId);
+        uint256 agreedPrice = consentManager.getAgreedPrice(
+            listing.patientId,
+            request.researcherId,
+            listing.dataCategory
+        );
+        if (patientMinimum > minimum) minimum = patientMinimum;
+        if (agreedPrice > minimum) minimum = agreedPrice;
+        return minimum;
     }
 
     /**
@@ -242,6 +323,9 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
             "No valid consent"
         );
 
+        // Approving accepts the researcher's current offer
+        delete counterOffers[requestId];
+        delete counterByResearcher[requestId];
         request.status = RequestStatus.Approved;
         request.decryptionKeyURI = decryptionKeyURI;
 
@@ -249,7 +333,9 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Complete access and process payment
+     * @dev Complete access and release the escrow to the patient
+     * @notice When the consent's agreed price is above the offer, the difference is
+     *         pulled from the researcher's wallet. A negotiated price is charged as is.
      */
     function completeAccess(bytes32 requestId) external onlyRole(OPERATOR_ROLE) nonReentrant whenNotPaused {
         DataAccessRequest storage request = accessRequests[requestId];
@@ -265,8 +351,10 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         );
         require(valid, "Consent no longer valid");
 
-        // Use offered price if higher than consent price
-        uint256 finalPrice = request.offeredPrice > price ? request.offeredPrice : price;
+        // Use offered price if higher than consent price, unless the price was negotiated
+        uint256 finalPrice = negotiated[requestId] || request.offeredPrice > price
+            ? request.offeredPrice
+            : price;
 
         // Calculate fees
         uint256 platformFee = (finalPrice * platformFeeBps) / 10000;
@@ -276,10 +364,15 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         address patientWallet = patientRegistry.getPatientWallet(listing.patientId);
         require(patientWallet != address(0), "Invalid patient wallet");
 
-        // Transfer tokens
-        // Note: Researcher must have approved this contract for token transfer
-        healthToken.safeTransferFrom(msg.sender, patientWallet, patientPayout);
-        healthToken.safeTransferFrom(msg.sender, platformFeeRecipient, platformFee);
+        // Release escrow, topping it up if the consent price is higher than the offer
+        Escrow memory escrow = escrows[requestId];
+        delete escrows[requestId];
+        totalEscrowed -= escrow.amount;
+        if (finalPrice > escrow.amount) {
+            healthToken.safeTransferFrom(escrow.payer, address(this), finalPrice - escrow.amount);
+        }
+        healthToken.safeTransfer(patientWallet, patientPayout);
+        healthToken.safeTransfer(platformFeeRecipient, platformFee);
 
         // Update records
         request.status = RequestStatus.Completed;
@@ -294,22 +387,159 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
 
         emit AccessCompleted(requestId, patientPayout, platformFee);
         emit PaymentProcessed(listing.patientId, request.researcherId, finalPrice, platformFee);
+        emit EscrowReleased(requestId, finalPrice);
+    }
+
+    /**
+     * @dev Counter a pending request with the patient's price
+     */
+    function counterOffer(bytes32 requestId, uint256 price) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        require(accessRequests[requestId].status == RequestStatus.Pending, "Not pending");
+        require(price > 0, "Price must be positive");
+
+        counterOffers[requestId] = price;
+        delete counterByResearcher[requestId];
+        emit CounterOffered(requestId, price);
     }
 
     /**
-     * @dev Reject access request
+     * @dev Accept the open counter-offer on behalf of the party that did not make it
+     * @notice The escrow is topped up from, or partly refunded to, the researcher
+     */
+    function acceptCounterOffer(bytes32 requestId) external onlyRole(OPERATOR_ROLE) nonReentrant whenNotPaused {
+        require(accessRequests[requestId].status == RequestStatus.Pending, "Not pending");
+        uint256 price = counterOffers[requestId];
+        require(price > 0, "No counter-offer");
+
+        delete counterOffers[requestId];
+        delete counterByResearcher[requestId];
+        _setOffer(requestId, price);
+        emit CounterOfferAccepted(requestId, price);
+    }
+
+    /**
+     * @dev Counter with a new price from the researcher, replacing any open counter-offer
+     * @notice The offer and escrow only change once the patient accepts the revision
+     */
+    function reviseOffer(bytes32 requestId, uint256 price) external onlyRole(OPERATOR_ROLE) whenNotPaused {
+        require(accessRequests[requestId].status == RequestStatus.Pending, "Not pending");
+        require(price > 0, "Price must be positive");
+        require(price >= minimumOffer(requestId), "Price below minimum");
+
+        counterOffers[requestId] = price;
+        counterByResearcher[requestId] = true;
+        emit OfferRevised(requestId, price);
+    }
+
+    function _setOffer(bytes32 requestId, uint256 price) internal {
+        accessRequests[requestId].offeredPrice = price;
+        negotiated[requestId] = true;
+
+        Escrow storage escrow = escrows[requestId];
+        uint256 oldAmount = escrow.amount;
+        if (price == oldAmount) return;
+
+        escrow.amount = price;
+        totalEscrowed = totalEscrowed - oldAmount + price;
+        if (price > oldAmount) {
+            healthToken.safeTransferFrom(escrow.payer, address(this), price - oldAmount);
+        } else {
+            healthToken.safeTransfer(escrow.payer, oldAmount - price);
+        }
+        emit EscrowAdjusted(requestId, oldAmount, price);
+    }
+
+    /**
+     * @dev Reject access request and refund the escrow
      */
     function rejectAccess(
         bytes32 requestId,
         string calldata reason
-    ) external onlyRole(OPERATOR_ROLE) {
+    ) external onlyRole(OPERATOR_ROLE) nonReentrant {
         DataAccessRequest storage request = accessRequests[requestId];
         require(request.status == RequestStatus.Pending, "Not pending");
 
         request.status = RequestStatus.Rejected;
+        _refundEscrow(requestId);
         emit AccessRejected(requestId, reason);
     }
 
+    /**
+     * @dev Cancel a pending request on the researcher's behalf and refund the escrow
+     */
+    function cancelAccess(bytes32 requestId) external onlyRole(OPERATOR_ROLE) nonReentrant {
+        DataAccessRequest storage request = accessRequests[requestId];
+        require(request.status == RequestStatus.Pending, "Not pending");
+
+        request.status = RequestStatus.Cancelled;
+        _refundEscrow(requestId);
+        emit AccessCancelled(requestId);
+    }
+
+    /**
+     * @dev Expire a pending or approved request after requestTimeout
+     * @notice A pending request is refunded and can be expired by anyone, so researchers
+     *         can always recover their funds. An approved request already released its
+     *         key, so only the operator can expire it and the escrow goes to the patient.
+     */
+    function expireAccess(bytes32 requestId) external nonReentrant {
+        DataAccessRequest storage request = accessRequests[requestId];
+        RequestStatus status = request.status;
+        require(
+            status == RequestStatus.Pending || status == RequestStatus.Approved,
+            "Not pending or approved"
+        );
+        require(block.timestamp >= request.requestedAt + requestTimeout, "Request not expired");
+        require(
+            status == RequestStatus.Pending || hasRole(OPERATOR_ROLE, msg.sender),
+            "Only operator can expire approved"
+        );
+
+        request.status = RequestStatus.Expired;
+        if (status == RequestStatus.Pending) {
+            _refundEscrow(requestId);
+        } else {
+            _settleEscrow(requestId);
+        }
+        emit AccessExpired(requestId);
+    }
+
+    /**
+     * @dev Pay an approved request's escrow out to the patient, less the platform fee
+     */
+    function _settleEscrow(bytes32 requestId) internal {
+        Escrow memory escrow = escrows[requestId];
+        if (escrow.amount == 0) return;
+
+        DataListing storage listing = listings[accessRequests[requestId].listingId];
+        address patientWallet = patientRegistry.getPatientWallet(listing.patientId);
+        require(patientWallet != address(0), "Invalid patient wallet");
+
+        uint256 platformFee = (escrow.amount * platformFeeBps) / 10000;
+        uint256 patientPayout = escrow.amount - platformFee;
+
+        delete escrows[requestId];
+        totalEscrowed -= escrow.amount;
+        healthToken.safeTransfer(patientWallet, patientPayout);
+        healthToken.safeTransfer(platformFeeRecipient, platformFee);
+
+        listing.totalEarnings += patientPayout;
+        totalVolume += escrow.amount;
+
+        emit ExpiredAccessSettled(requestId, patientPayout, platformFee);
+        emit EscrowReleased(requestId, escrow.amount);
+    }
+
+    function _refundEscrow(bytes32 requestId) internal {
+        Escrow memory escrow = escrows[requestId];
+        if (escrow.amount == 0) return;
+
+        delete escrows[requestId];
+        totalEscrowed -= escrow.amount;
+        healthToken.safeTransfer(escrow.payer, escrow.amount);
+        emit EscrowRefunded(requestId, escrow.payer, escrow.amount);
+    }
+
     /**
      * @dev Update listing price
      */
@@ -346,6 +576,26 @@ contract DataMarketplace is AccessControl, Pausable, ReentrancyGuard {
         emit PlatformFeeUpdated(oldFeeBps, newFeeBps);
     }
 
+    /**
+     * @dev Update the wallet that receives platform fees
+     */
+    function updatePlatformFeeRecipient(address newRecipient) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newRecipient != address(0), "Invalid fee recipient");
+        address oldRecipient = platformFeeRecipient;
+        platformFeeRecipient = newRecipient;
+        emit PlatformFeeRecipientUpdated(oldRecipient, newRecipient);
+    }
+
+    /**
+     * @dev Update how long a request may stay unsettled before it can be expired
+     */
+    function updateRequestTimeout(uint256 newTimeout) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(newTimeout > 0, "Duration must be positive");
+        uint256 oldTimeout = requestTimeout;
+        requestTimeout = newTimeout;
+        emit RequestTimeoutUpdated(oldTimeout, newTimeout);
+    }
+
     /**
      * @dev Get patient's listings
      */
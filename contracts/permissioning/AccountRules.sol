@@ -40,14 +40,18 @@ contract AccountRules is AccessControl {
         _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
         _grantRole(ADMIN_ROLE, msg.sender);
         
-        // Add initial admins
+        // Add initial admins, skipping repeats so each is listed once
         for (uint256 i = 0; i < initialAdmins.length; i++) {
-            _addAccount(initialAdmins[i], AccountType.Admin);
+            if (!allowedAccounts[initialAdmins[i]]) {
+                _addAccount(initialAdmins[i], AccountType.Admin);
+            }
             _grantRole(ADMIN_ROLE, initialAdmins[i]);
         }
         
         // Always allow the deployer
-        _addAccount(msg.sender, AccountType.Admin);
+        if (!allowedAccounts[msg.sender]) {
+            _addAccount(msg.sender, AccountType.Admin);
+        }
     }
     
     /**
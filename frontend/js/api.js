@@ -1,25 +1,85 @@
 const API_BASE = window.location.origin;
 
-async function apiGet(path) {
-  const response = await fetch(`${API_BASE}${path}`);
+let authToken = null;
+
+function setAuthToken(token) {
+  authToken = token;
+}
+
+function authHeaders() {
+  return authToken ? { Authorization: `Bearer ${authToken}` } : {};
+}
+
+async function parseResponse(response) {
   const data = await response.json();
   if (!response.ok) {
-    throw new Error(data.error || `Request failed: ${response.status}`);
+    const error = new Error(data.error || `Request failed: ${response.status}`);
+    error.status = response.status;
+    // a stable code such as "REQUEST_NOT_PENDING" for errors the portals explain themselves
+    error.code = data.code || null;
+    error.operation = data.operation || null;
+    throw error;
   }
   return data;
 }
 
-async function apiPost(path, body) {
+async function apiGet(path) {
+  const response = await fetch(`${API_BASE}${path}`, { headers: authHeaders() });
+  return parseResponse(response);
+}
+
+async function apiPost(path, body, headers = {}) {
   const response = await fetch(`${API_BASE}${path}`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: { "Content-Type": "application/json", ...authHeaders(), ...headers },
     body: JSON.stringify(body),
   });
-  const data = await response.json();
-  if (!response.ok) {
-    throw new Error(data.error || `Request failed: ${response.status}`);
+  return parseResponse(response);
+}
+
+const JOB_POLL_INTERVAL_MS = 1500;
+
+// answered with 202 and a job instead of waiting for every transaction
+async function apiPostAsync(path, body) {
+  return apiPost(path, body, { Prefer: "respond-async" });
+}
+
+async function fetchJob(jobId) {
+  return apiGet(`/api/jobs/${jobId}`);
+}
+
+// poll a job until it finishes; resolves with its result, throws if it failed
+async function waitForJob(jobId, onProgress) {
+  for (;;) {
+    const job = await fetchJob(jobId);
+    if (onProgress) onProgress(job);
+
+    if (job.status === "succeeded") return job.result;
+    if (job.status === "failed") {
+      const error = new Error(job.error || "Job failed");
+      error.code = job.code;
+      error.job = job;
+      throw error;
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
   }
-  return data;
+}
+
+async function requestSignInMessage(walletAddress) {
+  return apiPost("/api/auth/nonce", { walletAddress });
+}
+
+async function verifySignIn(message, signature) {
+  return apiPost("/api/auth/verify", { message, signature });
+}
+
+async function fetchSession() {
+  return apiGet("/api/auth/session");
+}
+
+async function signOut() {
+  return apiPost("/api/auth/logout", {});
 }
 
 async function fetchConfig() {
@@ -30,8 +90,18 @@ async function fetchStats() {
   return apiGet("/api/stats");
 }
 
-async function fetchListings() {
-  return apiGet("/api/listings");
+async function fetchListings(filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== "") params.set(key, value);
+  }
+  const query = params.toString();
+  return apiGet(query ? `/api/listings?${query}` : "/api/listings");
+}
+
+async function fetchQuote(walletAddress, listingId) {
+  const params = new URLSearchParams({ wallet: walletAddress, listingId });
+  return apiGet(`/api/quote?${params}`);
 }
 
 async function fetchPatient(walletAddress) {
@@ -46,18 +116,205 @@ async function registerPatient(walletAddress, metadataUri) {
   return apiPost("/api/patient/register", { walletAddress, metadataUri });
 }
 
+// pass `price` and/or `isActive` (false pauses the listing)
+async function updateListing(walletAddress, listingId, changes) {
+  return apiPost("/api/patient/listing/update", { walletAddress, listingId, ...changes });
+}
+
+async function retireListing(walletAddress, listingId) {
+  return apiPost("/api/patient/listing/deactivate", { walletAddress, listingId });
+}
+
+async function fetchVerification(walletAddress) {
+  return apiGet(`/api/verification/${walletAddress}`);
+}
+
+async function fetchConsents(walletAddress) {
+  return apiGet(`/api/patient/${walletAddress}/consents`);
+}
+
+async function fetchConsentTemplates() {
+  return apiGet("/api/consent-templates");
+}
+
+async function createConsentTemplate(payload) {
+  return apiPost("/api/admin/consent-templates", payload);
+}
+
+async function fetchFees() {
+  return apiGet("/api/admin/fees");
+}
+
+// pass `feeBps`, `recipient` or both
+async function updateFees(payload) {
+  return apiPost("/api/admin/fees", payload);
+}
+
+async function fetchRevenue(filters = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(filters)) {
+    if (value) params.set(key, value);
+  }
+  const query = params.toString();
+  return apiGet(query ? `/api/admin/revenue?${query}` : "/api/admin/revenue");
+}
+
+async function searchAccounts(wallet) {
+  return apiGet(`/api/admin/accounts?wallet=${encodeURIComponent(wallet)}`);
+}
+
+async function fetchAccount(walletAddress) {
+  return apiGet(`/api/admin/accounts/${walletAddress}`);
+}
+
+// role is "patient" or "researcher"; every moderation action needs a reason
+async function suspendAccount(role, walletAddress, reason) {
+  return apiPost(`/api/admin/${role}s/${walletAddress}/suspend`, { reason });
+}
+
+async function reactivatePatient(walletAddress, reason) {
+  return apiPost(`/api/admin/patients/${walletAddress}/reactivate`, { reason });
+}
+
+async function recordEthicsViolation(walletAddress, reason, penalty) {
+  return apiPost(`/api/admin/researchers/${walletAddress}/ethics-violations`, { reason, penalty });
+}
+
+async function adjustReputation(walletAddress, reason, change) {
+  return apiPost(`/api/admin/researchers/${walletAddress}/reputation`, { reason, change });
+}
+
+async function fetchAllowlist() {
+  return apiGet("/api/admin/allowlist");
+}
+
+// accountType is a key such as "patient" or the AccountType enum value
+async function addAllowlistAccount(address, accountType) {
+  return apiPost("/api/admin/allowlist", { address, accountType });
+}
+
+// rows are `address,type`; defaultType fills rows without a type
+async function importAllowlist(csv, defaultType) {
+  return apiPost("/api/admin/allowlist/import", { csv, defaultType });
+}
+
+async function updateAllowlistType(address, accountType) {
+  return apiPost(`/api/admin/allowlist/${address}/type`, { accountType });
+}
+
+async function removeAllowlistAccount(address) {
+  return apiPost(`/api/admin/allowlist/${address}/remove`, {});
+}
+
+async function fetchNodes() {
+  return apiGet("/api/admin/nodes");
+}
+
+// enode is a full enode://<pubkey>@host:port URL; nodeType a key such as "validator"
+async function addNode(enode, nodeType, organizationName) {
+  return apiPost("/api/admin/nodes", { enode, nodeType, organizationName });
+}
+
+// action is "deactivate", "reactivate" or "remove"
+async function changeNode(action, enode) {
+  return apiPost(`/api/admin/nodes/${action}`, { enode });
+}
+
+// pass `templateId` to grant from a template instead of custom terms
+async function grantConsent(payload) {
+  return apiPost("/api/patient/consent", payload);
+}
+
+async function revokeConsent(walletAddress, researcherId, category) {
+  return apiPost("/api/patient/consent/revoke", { walletAddress, researcherId, category });
+}
+
+async function setOptOut(walletAddress, optOut) {
+  return apiPost("/api/patient/opt-out", { walletAddress, optOut });
+}
+
+async function setMinPrice(walletAddress, minPrice) {
+  return apiPost("/api/patient/min-price", { walletAddress, minPrice });
+}
+
 async function createListing(payload) {
   return apiPost("/api/patient/listing", payload);
 }
 
-async function registerResearcher(payload) {
-  return apiPost("/api/researcher/register", payload);
+// registration runs as a job so the portal can report progress
+async function registerResearcher(payload, onProgress) {
+  const job = await apiPostAsync("/api/researcher/register", payload);
+  return waitForJob(job.jobId, onProgress);
+}
+
+async function fetchResearcherCategories(walletAddress) {
+  return apiGet(`/api/researcher/${walletAddress}/categories`);
+}
+
+// `documents` is a list of URIs supporting the justification
+async function applyForCategory(payload) {
+  return apiPost("/api/researcher/categories", payload);
+}
+
+async function fetchReputation(walletAddress) {
+  return apiGet(`/api/researcher/${walletAddress}/reputation`);
+}
+
+async function fetchStudyReports(walletAddress) {
+  return apiGet(`/api/researcher/${walletAddress}/study-reports`);
+}
+
+// payload: walletAddress, requestId, doi, resultsUri, successful and an optional summary
+async function submitStudyReport(payload) {
+  return apiPost("/api/researcher/study-reports", payload);
+}
+
+async function fetchPendingStudyReports() {
+  return apiGet("/api/admin/study-reports?status=pending");
+}
+
+async function acceptStudyReport(id) {
+  return apiPost(`/api/admin/study-reports/${id}/accept`, {});
+}
+
+async function rejectStudyReport(id, reason) {
+  return apiPost(`/api/admin/study-reports/${id}/reject`, { reason });
+}
+
+// `amount` is the HEALTH about to be escrowed; the permit also covers completion top-ups
+async function fetchPaymentPermit(walletAddress, amount) {
+  const query = amount ? `?amount=${encodeURIComponent(amount)}` : "";
+  return apiGet(`/api/researcher/${walletAddress}/payment-permit${query}`);
+}
+
+async function submitPaymentPermit(payload) {
+  return apiPost("/api/researcher/payment-permit", payload);
 }
 
 async function requestAccess(payload) {
   return apiPost("/api/researcher/request", payload);
 }
 
+async function cancelRequest(walletAddress, requestId) {
+  return apiPost("/api/researcher/request/cancel", { walletAddress, requestId });
+}
+
+async function reviseOffer(walletAddress, requestId, price) {
+  return apiPost("/api/researcher/request/counter", { walletAddress, requestId, price });
+}
+
+async function acceptCounterOffer(walletAddress, requestId) {
+  return apiPost("/api/researcher/request/accept", { walletAddress, requestId });
+}
+
+async function counterOffer(requestId, price) {
+  return apiPost("/api/marketplace/counter", { requestId, price });
+}
+
+async function acceptRevisedOffer(requestId) {
+  return apiPost("/api/marketplace/accept-counter", { requestId });
+}
+
 async function approveAccess(requestId, decryptionKeyUri) {
   return apiPost("/api/marketplace/approve", { requestId, decryptionKeyUri });
 }
@@ -70,6 +327,49 @@ async function completeAccess(requestId) {
   return apiPost("/api/marketplace/complete", { requestId });
 }
 
+async function expireRequest(requestId) {
+  return apiPost("/api/marketplace/expire", { requestId });
+}
+
+const MARKETPLACE_EVENT_TYPES = [
+  "listing.created",
+  "listing.updated",
+  "request.received",
+  "request.submitted",
+  "request.countered",
+  "request.revised",
+  "request.counter_accepted",
+  "request.approved",
+  "request.rejected",
+  "request.cancelled",
+  "request.expired",
+  "request.completed",
+  "consent.granted",
+  "consent.revoked",
+  "account.updated",
+  "stats.updated",
+];
+
+// one-time ticket that opens the signed-in wallet's event stream
+async function fetchStreamTicket() {
+  return apiPost("/api/events/ticket", {});
+}
+
+// live marketplace notifications over server-sent events; EventSource cannot
+// send the session token, so a signed-in stream opens with a ticket
+async function subscribeToEvents(onEvent) {
+  const query = authToken ? `?ticket=${(await fetchStreamTicket()).ticket}` : "";
+  const source = new EventSource(`${API_BASE}/api/events${query}`);
+
+  for (const type of MARKETPLACE_EVENT_TYPES) {
+    source.addEventListener(type, (message) => {
+      onEvent({ type, data: JSON.parse(message.data) });
+    });
+  }
+
+  return source;
+}
+
 function timeAgo(timestamp) {
   const seconds = Math.floor(Date.now() / 1000 - timestamp);
   if (seconds < 60) return "just now";
@@ -9,14 +9,20 @@ const CONFIG = {
   contracts: {},
 };
 
+const EVENT_STREAM_RETRY_MS = 5000;
+
 let provider = null;
 let signer = null;
 let userAddress = null;
+let eventSource = null;
+// bumped on every reconnect so a stale ticket request or retry does nothing
+let eventStreamGeneration = 0;
 
 document.addEventListener("DOMContentLoaded", () => {
   loadConfig();
   setupWalletButton();
   loadStats();
+  connectEventStream();
 });
 
 async function loadConfig() {
@@ -91,21 +97,34 @@ async function connect() {
       }
     }
 
-    btn.textContent = shortenAddress(userAddress);
-    btn.classList.add("connected");
-
     provider = new ethers.BrowserProvider(window.ethereum);
     signer = await provider.getSigner();
 
-    window.ethereum.on("accountsChanged", (accounts) => {
+    btn.textContent = "signing in...";
+    await signIn();
+    connectEventStream();
+
+    btn.textContent = shortenAddress(userAddress);
+    btn.classList.add("connected");
+
+    window.ethereum.on("accountsChanged", async (accounts) => {
       if (accounts.length === 0) {
         disconnect();
-      } else {
+        return;
+      }
+
+      try {
         userAddress = accounts[0];
+        signer = await provider.getSigner();
+        await signIn();
+        connectEventStream();
         btn.textContent = shortenAddress(userAddress);
         if (typeof onWalletConnected === "function") {
           onWalletConnected();
         }
+      } catch (error) {
+        console.error("sign-in error:", error);
+        disconnect();
       }
     });
 
@@ -114,6 +133,8 @@ async function connect() {
     }
   } catch (error) {
     console.error("connection error:", error);
+    userAddress = null;
+    setAuthToken(null);
     btn.textContent = "connect wallet";
   }
 }
@@ -136,7 +157,44 @@ async function addNetwork() {
   });
 }
 
+function sessionStorageKey(address) {
+  return `sybron-session-${address.toLowerCase()}`;
+}
+
+// sign in with ethereum (EIP-4361); the API only accepts writes from a signed-in wallet
+async function signIn() {
+  const storageKey = sessionStorageKey(userAddress);
+  const storedToken = sessionStorage.getItem(storageKey);
+
+  if (storedToken) {
+    setAuthToken(storedToken);
+    const session = await fetchSession();
+    if (
+      session.authenticated &&
+      session.walletAddress.toLowerCase() === userAddress.toLowerCase()
+    ) {
+      return;
+    }
+    sessionStorage.removeItem(storageKey);
+  }
+
+  setAuthToken(null);
+  const { message } = await requestSignInMessage(userAddress);
+  const signature = await signer.signMessage(message);
+  const session = await verifySignIn(message, signature);
+
+  setAuthToken(session.token);
+  sessionStorage.setItem(storageKey, session.token);
+}
+
 function disconnect() {
+  if (userAddress) {
+    sessionStorage.removeItem(sessionStorageKey(userAddress));
+    signOut().catch(() => {});
+  }
+  setAuthToken(null);
+  connectEventStream();
+
   userAddress = null;
   provider = null;
   signer = null;
@@ -146,6 +204,48 @@ function disconnect() {
   btn.classList.remove("connected");
 }
 
+// (re)open the event stream; signed-in wallets also receive their own notifications
+async function connectEventStream() {
+  const generation = ++eventStreamGeneration;
+  if (eventSource) eventSource.close();
+  eventSource = null;
+
+  let source;
+  try {
+    source = await subscribeToEvents((event) => {
+      if (event.type === "stats.updated") {
+        loadStats();
+      }
+      if (typeof onMarketplaceEvent === "function") {
+        onMarketplaceEvent(event);
+      }
+    });
+  } catch (error) {
+    // an ended session gets no ticket; the next sign-in reconnects
+    if (error.status !== 401) retryEventStream(generation);
+    return;
+  }
+
+  // signed in or out again while the ticket was on its way
+  if (generation !== eventStreamGeneration) {
+    source.close();
+    return;
+  }
+  eventSource = source;
+
+  // a ticket opens one connection, so the browser's own reconnect is refused;
+  // reopen the stream with a fresh ticket instead
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) retryEventStream(generation);
+  };
+}
+
+function retryEventStream(generation) {
+  setTimeout(() => {
+    if (generation === eventStreamGeneration) connectEventStream();
+  }, EVENT_STREAM_RETRY_MS);
+}
+
 function shortenAddress(address) {
   return address.slice(0, 6) + "..." + address.slice(-4);
 }
@@ -182,6 +282,71 @@ function parseTokenAmount(amount, decimals = 18) {
   return ethers.parseUnits(amount.toString(), decimals);
 }
 
+// KYC status banner for the portals; hidden once the account is verified.
+// A rejected application gets a button that calls onResubmit.
+function renderVerificationBanner(elementId, verification, pendingMessage, onResubmit) {
+  const banner = document.getElementById(elementId);
+  if (!verification || verification.status === "Verified") {
+    banner.style.display = "none";
+    return;
+  }
+
+  if (verification.status === "Rejected") {
+    banner.className = "alert alert-error";
+    banner.textContent = `verification rejected: ${verification.rejectionReason} `;
+    if (onResubmit) {
+      const button = document.createElement("button");
+      button.className = "btn-small btn-small-secondary";
+      button.textContent = "resubmit for review";
+      button.onclick = onResubmit;
+      banner.appendChild(button);
+    }
+  } else {
+    banner.className = "alert alert-warning";
+    banner.textContent = pendingMessage;
+  }
+  banner.style.display = "block";
+}
+
+// one-line escrow state for a request card, empty for requests made before escrow
+function describeEscrow(request) {
+  const amount = `${request.escrowAmountFormatted} HEALTH`;
+  switch (request.escrowStatus) {
+    case "held":
+      return `${amount} held in escrow`;
+    case "released":
+      return `escrow of ${amount} released to the patient`;
+    case "refunded":
+      return `escrow of ${amount} refunded`;
+    default:
+      return "";
+  }
+}
+
+const NEGOTIATION_ACTIONS = {
+  offer: "offered",
+  counter: "countered with",
+  accept: "accepted",
+  revise: "proposed",
+};
+
+// collapsible price history of a request, shown once anyone has countered
+function renderNegotiation(request) {
+  if (!request.negotiation || request.negotiation.length < 2) return "";
+  const rounds = request.negotiation
+    .map(
+      (round) => `
+        <li>${escapeHtml(round.party)} ${escapeHtml(NEGOTIATION_ACTIONS[round.action] || round.action)}
+          ${escapeHtml(round.priceFormatted)} HEALTH · ${timeAgo(round.at)}</li>`
+    )
+    .join("");
+  return `
+    <details style="font-size: 0.85rem; color: var(--text-muted);">
+      <summary>negotiation (${request.negotiation.length - 1} rounds)</summary>
+      <ol>${rounds}</ol>
+    </details>`;
+}
+
 function showToast(message, type = "info") {
   const existing = document.querySelector(".toast");
   if (existing) existing.remove();
@@ -154,6 +154,13 @@ async function main() {
   // STEP 5: Researcher Requests Access
   // ═══════════════════════════════════════════════════════════════
   console.log("5️⃣  Requesting data access...");
+  const marketplaceAddr = await dataMarketplace.getAddress();
+  const researcherBalance = await healthToken.balanceOf(researcher.address);
+  if (researcherBalance < dataPrice) {
+    await healthToken.mint(researcher.address, dataPrice - researcherBalance);
+  }
+  // The offer is escrowed from the researcher's wallet
+  await healthToken.connect(researcher).approve(marketplaceAddr, dataPrice);
   await dataMarketplace.requestAccess(
     requestId,
     researcherId,
@@ -161,7 +168,7 @@ async function main() {
     "Studying genetic markers for early cancer detection",
     dataPrice
   );
-  console.log("   ✓ Access requested\n");
+  console.log(`   ✓ Access requested, ${hre.ethers.formatEther(dataPrice)} HEALTH escrowed\n`);
 
   // ═══════════════════════════════════════════════════════════════
   // STEP 6: Approve Access
@@ -176,14 +183,8 @@ async function main() {
   // ═══════════════════════════════════════════════════════════════
   // STEP 7: Complete Payment
   // ═══════════════════════════════════════════════════════════════
-  console.log("7️⃣  Processing payment...");
+  console.log("7️⃣  Releasing escrowed payment...");
 
-  const marketplaceAddr = await dataMarketplace.getAddress();
-  const adminBalance = await healthToken.balanceOf(admin.address);
-  if (adminBalance < dataPrice) {
-    await healthToken.mint(admin.address, dataPrice - adminBalance);
-  }
-  await healthToken.approve(marketplaceAddr, dataPrice);
   await dataMarketplace.completeAccess(requestId);
 
   const patientBalanceAfter = await healthToken.balanceOf(patient.address);
@@ -0,0 +1,49 @@
+/**
+ * Mirrors AccountRules.isAccountAllowed for the API, so the operator never
+ * transacts for a wallet the network itself would refuse. Answers are cached
+ * per wallet until the indexer sees an AccountAdded or AccountRemoved event
+ * for it, which happens on the sync after every API-driven allowlist change.
+ */
+function createAccountGate({ contracts, indexer, enforced }) {
+  // lowercased wallet -> Promise<boolean>
+  const cache = new Map();
+
+  indexer.onEvent(({ contract, event, args }) => {
+    if (contract === "AccountRules" && (event === "AccountAdded" || event === "AccountRemoved")) {
+      cache.delete(args.account.toLowerCase());
+    }
+  });
+
+  function isAllowed(wallet) {
+    const key = wallet.toLowerCase();
+    if (!cache.has(key)) {
+      const lookup = contracts.AccountRules.isAccountAllowed(wallet);
+      // A failed lookup is retried on the next call instead of being cached
+      lookup.catch(() => cache.delete(key));
+      cache.set(key, lookup);
+    }
+    return cache.get(key);
+  }
+
+  /**
+   * Throw 403 ACCOUNT_NOT_PERMITTED when enforcement is on and the wallet is
+   * not on the allowlist. With a `party`, the wallet is the other side of a
+   * request the signed-in wallet acts on, and the code is
+   * COUNTERPARTY_NOT_PERMITTED.
+   */
+  async function requireAllowed(wallet, party) {
+    if (!enforced || (await isAllowed(wallet))) return;
+    const error = new Error(
+      party
+        ? `The ${party}'s wallet is not permitted on the network`
+        : "This wallet is not permitted on the network"
+    );
+    error.status = 403;
+    error.code = party ? "COUNTERPARTY_NOT_PERMITTED" : "ACCOUNT_NOT_PERMITTED";
+    throw error;
+  }
+
+  return { enforced, isAllowed, requireAllowed };
+}
+
+module.exports = { createAccountGate };
@@ -0,0 +1,80 @@
+const { ethers } = require("ethers");
+
+// AccountRules.AccountType, in enum order
+const ACCOUNT_TYPES = [
+  { key: "unknown", label: "Unknown" },
+  { key: "admin", label: "Admin" },
+  { key: "hospital", label: "Hospital" },
+  { key: "research_institution", label: "Research institution" },
+  { key: "regulator", label: "Regulator" },
+  { key: "patient", label: "Patient" },
+  { key: "service_account", label: "Service account" },
+];
+
+function allowlistError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolve an account type given as its key ("patient") or enum value (5).
+ */
+function parseAccountType(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  const index = /^\d+$/.test(text)
+    ? Number(text)
+    : ACCOUNT_TYPES.findIndex((type) => type.key === text);
+  if (!ACCOUNT_TYPES[index]) {
+    throw allowlistError(
+      `Invalid account type, expected one of: ${ACCOUNT_TYPES.map((type) => type.key).join(", ")}`
+    );
+  }
+  return index;
+}
+
+/**
+ * Parse an allowlist CSV of `address,type` rows. The type column may be left
+ * out when `defaultType` is given, a leading `address` header row and `#`
+ * comments are skipped, and repeated addresses keep their first row.
+ */
+function parseAccountsCsv(csv, defaultType) {
+  const rows = String(csv || "").split(/\r?\n/);
+  const seen = new Set();
+  const accounts = [];
+  const types = [];
+
+  rows.forEach((row, index) => {
+    const line = row.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const [address, type] = line.split(",").map((cell) => cell.trim());
+    if (!accounts.length && address.toLowerCase() === "address") return;
+    if (!ethers.isAddress(address) || BigInt(address) === 0n) {
+      throw allowlistError(`Line ${index + 1}: invalid address "${address}"`);
+    }
+    if (!type && defaultType === undefined) {
+      throw allowlistError(`Line ${index + 1}: missing account type`);
+    }
+
+    let accountType;
+    try {
+      accountType = type ? parseAccountType(type) : defaultType;
+    } catch (error) {
+      throw allowlistError(`Line ${index + 1}: ${error.message}`);
+    }
+
+    const normalized = ethers.getAddress(address);
+    if (seen.has(normalized)) return;
+    seen.add(normalized);
+    accounts.push(normalized);
+    types.push(accountType);
+  });
+
+  if (!accounts.length) {
+    throw allowlistError("The CSV has no accounts");
+  }
+  return { accounts, types };
+}
+
+module.exports = { ACCOUNT_TYPES, parseAccountType, parseAccountsCsv };
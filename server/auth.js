@@ -0,0 +1,235 @@
+const crypto = require("crypto");
+const { ethers } = require("ethers");
+
+const CHALLENGE_TTL_MS = 5 * 60 * 1000;
+// Live challenges kept per wallet; a new one replaces the oldest
+const MAX_CHALLENGES_PER_ADDRESS = 5;
+// Live challenges kept in total; past it a new one replaces the oldest, so a
+// flood of nonce requests cannot lock everyone else out of signing in
+const MAX_CHALLENGES = Number(process.env.MAX_SIGN_IN_CHALLENGES || 10000);
+const SESSION_TTL_MS = Number(process.env.SESSION_TTL_SECONDS || 12 * 60 * 60) * 1000;
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+const ADMIN_WALLETS = new Set(
+  (process.env.ADMIN_WALLETS || "")
+    .split(",")
+    .map((wallet) => wallet.trim().toLowerCase())
+    .filter(Boolean)
+);
+
+const SIGN_IN_STATEMENT =
+  "Sign in to Sybron Health Chain. This request will not trigger a blockchain transaction or cost any gas.";
+
+// nonce => { address, message, expiresAt }
+const challenges = new Map();
+// token => { address, expiresAt }
+const sessions = new Map();
+// ticket => { token, expiresAt }
+const streamTickets = new Map();
+
+function authError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+function pruneExpired(map) {
+  const now = Date.now();
+  for (const [key, value] of map) {
+    if (value.expiresAt <= now) map.delete(key);
+  }
+}
+
+/**
+ * Build an EIP-4361 (Sign-In with Ethereum) message.
+ */
+function buildSiweMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    "",
+    SIGN_IN_STATEMENT,
+    "",
+    `URI: ${uri}`,
+    "Version: 1",
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join("\n");
+}
+
+/**
+ * Make room for a new challenge for `address`, keeping the map bounded.
+ */
+function reserveChallengeSlot(address) {
+  pruneExpired(challenges);
+
+  // Map iteration follows insertion order, so the first match is the oldest
+  const own = [...challenges].filter(([, challenge]) => challenge.address === address);
+  if (own.length >= MAX_CHALLENGES_PER_ADDRESS) {
+    challenges.delete(own[0][0]);
+  } else if (challenges.size >= MAX_CHALLENGES) {
+    challenges.delete(challenges.keys().next().value);
+  }
+}
+
+function createChallenge({ walletAddress, domain, uri, chainId }) {
+  const address = ethers.getAddress(walletAddress);
+  reserveChallengeSlot(address);
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + CHALLENGE_TTL_MS);
+
+  const message = buildSiweMessage({
+    domain,
+    address,
+    uri,
+    chainId,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString(),
+  });
+
+  challenges.set(nonce, { address, message, expiresAt: expiresAt.getTime() });
+  return { message, nonce, expiresAt: expiresAt.toISOString() };
+}
+
+function verifyChallenge(message, signature) {
+  if (!message || !signature) {
+    throw authError(400, "message and signature are required");
+  }
+
+  const match = /^Nonce: ([0-9a-f]+)$/m.exec(message);
+  const challenge = match && challenges.get(match[1]);
+  if (!challenge || challenge.message !== message) {
+    throw authError(401, "Unknown or already used sign-in challenge");
+  }
+
+  challenges.delete(match[1]);
+  if (challenge.expiresAt <= Date.now()) {
+    throw authError(401, "Sign-in challenge expired");
+  }
+
+  let recovered;
+  try {
+    recovered = ethers.verifyMessage(message, signature);
+  } catch (_) {
+    throw authError(401, "Invalid signature");
+  }
+  if (recovered !== challenge.address) {
+    throw authError(401, "Signature does not match wallet");
+  }
+
+  pruneExpired(sessions);
+
+  const token = crypto.randomBytes(32).toString("hex");
+  const expiresAt = Date.now() + SESSION_TTL_MS;
+  sessions.set(token, { address: challenge.address, expiresAt });
+
+  return {
+    token,
+    walletAddress: challenge.address,
+    expiresAt: new Date(expiresAt).toISOString(),
+  };
+}
+
+function getBearerToken(req) {
+  const header = req.get("authorization") || "";
+  const [scheme, token] = header.split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+function getSession(token) {
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+function revokeSession(token) {
+  sessions.delete(token);
+}
+
+/**
+ * Issue a one-time ticket that opens an event stream for the session behind
+ * `token`. EventSource cannot send headers, and a ticket in the URL is
+ * harmless once used, unlike the session token.
+ */
+function createStreamTicket(token) {
+  pruneExpired(streamTickets);
+
+  const ticket = crypto.randomBytes(16).toString("hex");
+  const expiresAt = Date.now() + STREAM_TICKET_TTL_MS;
+  streamTickets.set(ticket, { token, expiresAt });
+  return { ticket, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+/**
+ * Use up a stream ticket and return its session, or null when the ticket is
+ * unknown, already used or expired, or its session has ended since.
+ */
+function redeemStreamTicket(ticket) {
+  const entry = streamTickets.get(ticket);
+  if (!entry) return null;
+
+  streamTickets.delete(ticket);
+  if (entry.expiresAt <= Date.now()) return null;
+  return getSession(entry.token);
+}
+
+/**
+ * Express middleware: reject requests without a valid session token and
+ * expose the signed-in wallet as req.wallet.
+ */
+function requireSession(req, _res, next) {
+  const session = getSession(getBearerToken(req));
+  if (!session) {
+    return next(authError(401, "Sign in with your wallet first"));
+  }
+  req.wallet = session.address;
+  next();
+}
+
+function isAdmin(wallet) {
+  return Boolean(wallet) && ADMIN_WALLETS.has(wallet.toLowerCase());
+}
+
+/**
+ * Express middleware: like requireSession, but only for wallets in ADMIN_WALLETS.
+ */
+function requireAdmin(req, res, next) {
+  requireSession(req, res, (error) => {
+    if (error) return next(error);
+    if (!isAdmin(req.wallet)) {
+      return next(authError(403, "Admin access required"));
+    }
+    next();
+  });
+}
+
+/**
+ * Ensure the wallet a route acts for is the signed-in wallet.
+ */
+function requireSessionWallet(req, walletAddress) {
+  if (!req.wallet || req.wallet.toLowerCase() !== String(walletAddress).toLowerCase()) {
+    throw authError(403, "Wallet does not match signed-in account");
+  }
+}
+
+module.exports = {
+  buildSiweMessage,
+  createChallenge,
+  verifyChallenge,
+  getBearerToken,
+  getSession,
+  revokeSession,
+  createStreamTicket,
+  redeemStreamTicket,
+  requireSession,
+  requireSessionWallet,
+  isAdmin,
+  requireAdmin,
+};
@@ -50,6 +50,12 @@ const CATEGORY_BITS = {
   lifestyle: 1n << 7n,
 };
 
+// Minimum ResearcherRegistry.getAccessTier for sensitive categories (2 = Silver, 3 = Gold)
+const CATEGORY_MIN_TIERS = {
+  genomics: 2,
+  mental_health: 3,
+};
+
 function categoryKeyFromBytes(categoryBytes) {
   const normalized = categoryBytes.toLowerCase();
   for (const [key, value] of Object.entries(CATEGORY_BYTES)) {
@@ -67,6 +73,7 @@ module.exports = {
   CATEGORY_LABELS,
   CATEGORY_BYTES,
   CATEGORY_BITS,
+  CATEGORY_MIN_TIERS,
   categoryKeyFromBytes,
   categoryLabel,
 };
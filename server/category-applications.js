@@ -0,0 +1,56 @@
+const { reviewError, createReviewQueue } = require("./review-queue");
+
+const APPLICATION_STATUS = {
+  pending: "Pending",
+  granted: "Granted",
+  denied: "Denied",
+};
+
+/**
+ * Researchers apply for each data category separately. An admin grants or
+ * denies every application; only a grant leads to the on-chain
+ * approveCategory call. Persisted under DATA_DIR/category-applications-<network>.json.
+ */
+function createCategoryApplications({ network }) {
+  const queue = createReviewQueue({
+    name: "category-applications",
+    network,
+    collection: "applications",
+    statuses: APPLICATION_STATUS,
+    label: "Category application",
+    copy: (application) => ({ documents: [...application.documents] }),
+  });
+
+  function submit({ researcherId, walletAddress, category, justification, documents }) {
+    const pending = queue.find(
+      (candidate) =>
+        candidate.researcherId === researcherId &&
+        candidate.category === category &&
+        candidate.status === "pending"
+    );
+    if (pending) {
+      throw reviewError(409, "An application for this category is already pending");
+    }
+
+    return queue.add({
+      researcherId,
+      walletAddress,
+      category,
+      justification,
+      documents,
+      decisionReason: null,
+    });
+  }
+
+  return {
+    submit,
+    get: queue.get,
+    list: queue.list,
+    requirePending: queue.requirePending,
+    markGranted: (id, actor) => queue.decide(id, "granted", { decisionReason: null }, actor),
+    markDenied: (id, reason, actor) =>
+      queue.decide(id, "denied", { decisionReason: reason || null }, actor),
+  };
+}
+
+module.exports = { APPLICATION_STATUS, createCategoryApplications };
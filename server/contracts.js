@@ -1,6 +1,16 @@
 const fs = require("fs");
 const path = require("path");
 
+const CONTRACT_NAMES = [
+  "HealthToken",
+  "PatientRegistry",
+  "ResearcherRegistry",
+  "ConsentManager",
+  "DataMarketplace",
+  "AccountRules",
+  "NodeRules",
+];
+
 function findArtifact(name) {
   const roots = [
     path.join(__dirname, "..", "artifacts", "contracts", "token", `${name}.sol`, `${name}.json`),
@@ -40,18 +50,8 @@ function loadDeployment(network) {
 }
 
 function createContracts(provider, signer, deployment) {
-  const names = [
-    "HealthToken",
-    "PatientRegistry",
-    "ResearcherRegistry",
-    "ConsentManager",
-    "DataMarketplace",
-    "AccountRules",
-    "NodeRules",
-  ];
-
   const contracts = {};
-  for (const name of names) {
+  for (const name of CONTRACT_NAMES) {
     const artifact = findArtifact(name);
     const address = deployment.contracts[name];
     if (!address) {
@@ -65,6 +65,7 @@ function createContracts(provider, signer, deployment) {
 }
 
 module.exports = {
+  CONTRACT_NAMES,
   findArtifact,
   loadDeployment,
   createContracts,
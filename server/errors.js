@@ -0,0 +1,275 @@
+const { ethers } = require("ethers");
+const { CONTRACT_NAMES, findArtifact } = require("./contracts");
+
+// require() messages from the contracts, keyed by the exact revert string
+const REVERT_REASONS = {
+  "Price too low": {
+    code: "PRICE_BELOW_BASE",
+    status: 422,
+    message: "Offer is below the listing's price for the researcher's access tier",
+  },
+  "Price below minimum": {
+    code: "PRICE_BELOW_MINIMUM",
+    status: 422,
+    message: "Price is below the patient's minimum price",
+  },
+  "Price must be positive": {
+    code: "INVALID_PRICE",
+    status: 422,
+    message: "Price must be greater than zero",
+  },
+  "Duration must be positive": {
+    code: "INVALID_DURATION",
+    status: 422,
+    message: "Duration must be greater than zero",
+  },
+  "Fee too high": { code: "FEE_TOO_HIGH", status: 422, message: "Fee exceeds the maximum" },
+  "Invalid fee recipient": {
+    code: "INVALID_ADDRESS",
+    status: 422,
+    message: "Fee recipient cannot be the zero address",
+  },
+  "No category access": {
+    code: "CATEGORY_NOT_APPROVED",
+    status: 403,
+    message: "Researcher is not approved for this data category",
+  },
+  "No valid consent": {
+    code: "CONSENT_REQUIRED",
+    status: 403,
+    message: "The patient has not granted consent for this access",
+  },
+  "Consent no longer valid": {
+    code: "CONSENT_INVALID",
+    status: 403,
+    message: "The patient's consent has expired, been revoked or been used up",
+  },
+  "Consent not active": {
+    code: "CONSENT_NOT_ACTIVE",
+    status: 409,
+    message: "Consent is not active",
+  },
+  "Patient has opted out": {
+    code: "PATIENT_OPTED_OUT",
+    status: 403,
+    message: "The patient has opted out of data sharing",
+  },
+  "Patient not verified": {
+    code: "PATIENT_NOT_VERIFIED",
+    status: 403,
+    message: "Patient is not verified",
+  },
+  "Researcher not verified": {
+    code: "RESEARCHER_NOT_VERIFIED",
+    status: 403,
+    message: "Researcher is not verified",
+  },
+  "Not verified": {
+    code: "RESEARCHER_NOT_VERIFIED",
+    status: 403,
+    message: "Researcher is not verified",
+  },
+  "Listing not active": {
+    code: "LISTING_INACTIVE",
+    status: 409,
+    message: "Listing is no longer active",
+  },
+  "Listing not found": { code: "LISTING_NOT_FOUND", status: 404, message: "Listing not found" },
+  "Listing exists": { code: "LISTING_EXISTS", status: 409, message: "Listing already exists" },
+  "Request exists": { code: "REQUEST_EXISTS", status: 409, message: "Request already exists" },
+  "Not pending": {
+    code: "REQUEST_NOT_PENDING",
+    status: 409,
+    message: "Request is no longer pending",
+  },
+  "Not approved": {
+    code: "REQUEST_NOT_APPROVED",
+    status: 409,
+    message: "Request has not been approved",
+  },
+  "Not pending or approved": {
+    code: "REQUEST_SETTLED",
+    status: 409,
+    message: "Request has already been settled",
+  },
+  "Request not expired": {
+    code: "REQUEST_NOT_EXPIRED",
+    status: 409,
+    message: "Request has not reached its timeout yet",
+  },
+  "No counter-offer": {
+    code: "NO_COUNTER_OFFER",
+    status: 409,
+    message: "There is no counter-offer to accept",
+  },
+  "Invalid template": {
+    code: "TEMPLATE_NOT_FOUND",
+    status: 404,
+    message: "Consent template not found",
+  },
+  "Patient not found": { code: "PATIENT_NOT_FOUND", status: 404, message: "Patient not found" },
+  "Patient already exists": {
+    code: "ALREADY_REGISTERED",
+    status: 409,
+    message: "Wallet already registered",
+  },
+  "Researcher exists": {
+    code: "ALREADY_REGISTERED",
+    status: 409,
+    message: "Wallet already registered",
+  },
+  "Wallet already registered": {
+    code: "ALREADY_REGISTERED",
+    status: 409,
+    message: "Wallet already registered",
+  },
+  "Patient not suspended": {
+    code: "ACCOUNT_NOT_SUSPENDED",
+    status: 409,
+    message: "Patient is not suspended",
+  },
+  "Account not found": { code: "ACCOUNT_NOT_FOUND", status: 404, message: "Account not found" },
+  "Account already exists": {
+    code: "ACCOUNT_EXISTS",
+    status: 409,
+    message: "Account already exists",
+  },
+  "Cannot remove last admin": {
+    code: "LAST_ADMIN",
+    status: 409,
+    message: "The last admin account cannot be removed",
+  },
+  "Node not found": { code: "NODE_NOT_FOUND", status: 404, message: "Node not found" },
+  "Node already exists": { code: "NODE_EXISTS", status: 409, message: "Node already exists" },
+  "Node not active": { code: "NODE_NOT_ACTIVE", status: 409, message: "Node is not active" },
+  "Node already active": { code: "NODE_ACTIVE", status: 409, message: "Node is already active" },
+  "Cannot remove last validator": {
+    code: "LAST_VALIDATOR",
+    status: 409,
+    message: "The last active validator cannot be removed",
+  },
+  "Cannot deactivate last validator": {
+    code: "LAST_VALIDATOR",
+    status: 409,
+    message: "The last active validator cannot be deactivated",
+  },
+};
+
+// Custom errors from the ABIs, keyed by error name
+const CUSTOM_ERRORS = {
+  ERC20InsufficientBalance: {
+    code: "INSUFFICIENT_BALANCE",
+    status: 422,
+    message: "Insufficient HEALTH balance",
+  },
+  ERC20InsufficientAllowance: {
+    code: "INSUFFICIENT_ALLOWANCE",
+    status: 422,
+    message: "Insufficient HEALTH allowance",
+  },
+  ERC2612ExpiredSignature: {
+    code: "PERMIT_EXPIRED",
+    status: 422,
+    message: "Permit signature has expired",
+  },
+  ERC2612InvalidSigner: {
+    code: "PERMIT_INVALID",
+    status: 422,
+    message: "Permit signature is invalid",
+  },
+  EnforcedPause: {
+    code: "CONTRACT_PAUSED",
+    status: 503,
+    message: "The contract is paused",
+  },
+  AccessControlUnauthorizedAccount: {
+    code: "OPERATOR_UNAUTHORIZED",
+    status: 500,
+    message: "The operator wallet is missing a required role",
+  },
+};
+
+let errorInterface = null;
+
+// Every error fragment from the compiled ABIs, so nested reverts decode too
+function getErrorInterface() {
+  if (!errorInterface) {
+    const fragments = new Map([["Error(string)", "error Error(string)"]]);
+    for (const name of CONTRACT_NAMES) {
+      for (const fragment of new ethers.Interface(findArtifact(name).abi).fragments) {
+        if (fragment.type === "error") {
+          fragments.set(fragment.format("sighash"), fragment.format("full"));
+        }
+      }
+    }
+    errorInterface = new ethers.Interface([...fragments.values()]);
+  }
+  return errorInterface;
+}
+
+function findRevertData(error) {
+  for (let current = error; current; current = current.error || current.info?.error) {
+    const data = typeof current.data === "string" ? current.data : current.data?.data;
+    if (typeof data === "string" && data.length >= 10) return data;
+  }
+  return null;
+}
+
+/**
+ * Find the revert behind an ethers error: `{ name, args }`, where plain
+ * require() messages come back as `Error` with the message as first argument.
+ */
+function decodeRevert(error) {
+  const data = findRevertData(error);
+  if (data) {
+    try {
+      const parsed = getErrorInterface().parseError(data);
+      if (parsed) return { name: parsed.name, args: [...parsed.args] };
+    } catch (_) {
+      // Not ABI-encoded revert data
+    }
+  }
+  if (error.revert) return { name: error.revert.name, args: [...error.revert.args] };
+  if (error.reason) return { name: "Error", args: [error.reason] };
+  return null;
+}
+
+/**
+ * Map a failed contract call to `{ code, status, message, reason }`, or null
+ * when the error did not come from a revert.
+ */
+function decodeContractError(error) {
+  if (error.code === "INVALID_ARGUMENT") {
+    return {
+      code: "INVALID_ARGUMENT",
+      status: 400,
+      message: error.argument
+        ? `Invalid ${error.argument}`
+        : `Invalid argument: ${error.shortMessage || error.message}`,
+      reason: null,
+    };
+  }
+
+  const revert = decodeRevert(error);
+  if (!revert) return null;
+
+  if (revert.name === "Error") {
+    const reason = String(revert.args[0]);
+    const known = REVERT_REASONS[reason];
+    return known
+      ? { ...known, reason }
+      : { code: "CONTRACT_REVERTED", status: 422, message: reason, reason };
+  }
+
+  const known = CUSTOM_ERRORS[revert.name];
+  return known
+    ? { ...known, reason: revert.name }
+    : {
+        code: "CONTRACT_REVERTED",
+        status: 422,
+        message: `Transaction reverted with ${revert.name}`,
+        reason: revert.name,
+      };
+}
+
+module.exports = { decodeContractError };
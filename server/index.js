@@ -7,16 +7,62 @@ const { ethers } = require("ethers");
 const {
   CATEGORY_BYTES,
   CATEGORY_BITS,
+  CATEGORY_MIN_TIERS,
   categoryKeyFromBytes,
   categoryLabel,
 } = require("./categories");
 const { loadDeployment, createContracts } = require("./contracts");
+const { createIndexer } = require("./indexer");
+const { parseListingQuery, searchListings } = require("./search");
+const { createNotifier } = require("./notifications");
+const { txStep, createTransactionManager } = require("./transactions");
+const { createJobTracker } = require("./jobs");
+const { createRequestSweeper } = require("./sweeper");
+const { buildRevenueReport } = require("./revenue");
+const { createModerationLog } = require("./moderation");
+const { REPORT_STATUS, createStudyReports } = require("./study-reports");
+const { ACCOUNT_TYPES, parseAccountType, parseAccountsCsv } = require("./allowlist");
+const {
+  NODE_TYPES,
+  NODE_STATUS,
+  parseNodeType,
+  parseEnodeUrl,
+  createNodeDirectory,
+} = require("./nodes");
+const { createAccountGate } = require("./account-gate");
+const { decodeContractError } = require("./errors");
+const { VERIFICATION_STATUS, createVerificationQueue } = require("./verification");
+const { APPLICATION_STATUS, createCategoryApplications } = require("./category-applications");
+const {
+  createChallenge,
+  verifyChallenge,
+  getBearerToken,
+  getSession,
+  revokeSession,
+  createStreamTicket,
+  redeemStreamTicket,
+  requireSession,
+  requireSessionWallet,
+  isAdmin,
+  requireAdmin,
+} = require("./auth");
 
 const PORT = process.env.API_PORT || 3000;
 const NETWORK = process.env.NETWORK || "localhost";
 const RPC_URL =
   process.env.RPC_URL ||
   (NETWORK === "besu_local" ? "http://localhost:8545" : "http://127.0.0.1:8545");
+// Unset means the contract's requestTimeout
+const REQUEST_TTL_SECONDS = Number(process.env.REQUEST_TTL_HOURS || 0) * 60 * 60;
+// Add newly registered patients and researchers to the AccountRules allowlist
+const ALLOWLIST_ON_REGISTER = process.env.ALLOWLIST_ON_REGISTER === "true";
+// Accounts per addAccounts transaction during a CSV import
+const ALLOWLIST_BATCH_SIZE = 100;
+// Refuse wallets that AccountRules does not allow; on by default on Besu, where
+// the node enforces the same list
+const ENFORCE_ACCOUNT_RULES = process.env.ENFORCE_ACCOUNT_RULES
+  ? process.env.ENFORCE_ACCOUNT_RULES === "true"
+  : NETWORK.startsWith("besu");
 
 const DEFAULT_OPERATOR_KEY =
   "0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80";
@@ -28,20 +74,79 @@ const TIER_NAMES = {
   4: "Platinum",
 };
 
-const REQUEST_STATUS = ["Pending", "Approved", "Rejected", "Completed", "Cancelled"];
+const REQUEST_STATUS = ["Pending", "Approved", "Rejected", "Completed", "Cancelled", "Expired"];
 const PATIENT_STATUS = ["Unregistered", "Pending", "Verified", "Suspended"];
+const RESEARCHER_STATUS = ["Unregistered", "Pending", "Verified", "Suspended", "Revoked"];
+const MAX_REPUTATION = 10000;
+const CONSENT_STATUS = ["NotSet", "Granted", "Revoked", "Expired"];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+const PERMIT_TTL_SECONDS = 60 * 60;
 
 let deployment;
 let provider;
 let operator;
 let contracts;
-
-function initBlockchain() {
-  deployment = loadDeployment(NETWORK);
-  provider = new ethers.JsonRpcProvider(RPC_URL);
-  const privateKey = process.env.PRIVATE_KEY || DEFAULT_OPERATOR_KEY;
-  operator = new ethers.Wallet(privateKey, provider);
+let indexer;
+let notifier;
+let transactions;
+let jobs;
+let verifications;
+let categoryApplications;
+let moderationLog;
+let studyReports;
+let nodeDirectory;
+let accountGate;
+let sweeper;
+
+/**
+ * Connect to the chain and set up the services the routes use. The API tests
+ * pass the Hardhat network's provider, operator signer and deployment instead
+ * of the RPC URL, PRIVATE_KEY and deployment file.
+ */
+function initBlockchain(options = {}) {
+  deployment = options.deployment || loadDeployment(NETWORK);
+  provider = options.provider || new ethers.JsonRpcProvider(RPC_URL);
+  operator =
+    options.signer ||
+    new ethers.Wallet(process.env.PRIVATE_KEY || DEFAULT_OPERATOR_KEY, provider);
   contracts = createContracts(provider, operator, deployment);
+  transactions = createTransactionManager({ signer: operator, provider });
+  jobs = createJobTracker(transactions);
+  indexer = createIndexer({ provider, contracts, deployment, network: NETWORK });
+  notifier = createNotifier(indexer);
+  accountGate = createAccountGate({ contracts, indexer, enforced: ENFORCE_ACCOUNT_RULES });
+  verifications = createVerificationQueue({ network: NETWORK });
+  categoryApplications = createCategoryApplications({ network: NETWORK });
+  moderationLog = createModerationLog({ network: NETWORK });
+  studyReports = createStudyReports({ network: NETWORK });
+  nodeDirectory = createNodeDirectory({ network: NETWORK });
+  sweeper = createRequestSweeper({
+    provider,
+    contracts,
+    indexer,
+    transactions,
+    ttlSeconds: REQUEST_TTL_SECONDS,
+  });
+}
+
+/**
+ * requireSession for routes that act for the signed-in wallet, which must also
+ * be allowed by AccountRules while enforcement is on.
+ */
+function requirePermittedSession(req, res, next) {
+  requireSession(req, res, (error) => {
+    if (error) return next(error);
+    accountGate.requireAllowed(req.wallet).then(() => next(), next);
+  });
+}
+
+/**
+ * Registration adds the wallet to the allowlist when ALLOWLIST_ON_REGISTER is
+ * set, so only then does it accept wallets that are not on it yet.
+ */
+function registrationSession(req, res, next) {
+  const middleware = ALLOWLIST_ON_REGISTER ? requireSession : requirePermittedSession;
+  middleware(req, res, next);
 }
 
 function requireAddress(value, fieldName) {
@@ -66,81 +171,695 @@ async function getResearcherIdForWallet(wallet) {
   return contracts.ResearcherRegistry.walletToResearcherId(wallet);
 }
 
-async function formatListing(listingId) {
-  const listing = await contracts.DataMarketplace.listings(listingId);
-  if (listing.createdAt === 0n) return null;
+function formatListing(listingId) {
+  const listing = indexer.getListing(listingId);
+  if (!listing) return null;
 
   const categoryKey = categoryKeyFromBytes(listing.dataCategory);
   return {
-    listingId,
-    patientId: listing.patientId,
-    dataCategory: listing.dataCategory,
+    ...listing,
     categoryKey,
     categoryLabel: categoryLabel(categoryKey),
-    encryptedDataURI: listing.encryptedDataURI,
-    dataDescription: listing.dataDescription,
-    basePrice: listing.basePrice.toString(),
     basePriceFormatted: ethers.formatEther(listing.basePrice),
-    createdAt: Number(listing.createdAt),
-    isActive: listing.isActive,
-    totalAccesses: Number(listing.totalAccesses),
-    totalEarnings: listing.totalEarnings.toString(),
     totalEarningsFormatted: ethers.formatEther(listing.totalEarnings),
   };
 }
 
-async function formatAccessRequest(requestId) {
-  const request = await contracts.DataMarketplace.accessRequests(requestId);
-  if (request.requestedAt === 0n) return null;
+function formatAccessRequest(requestId) {
+  const request = indexer.getRequest(requestId);
+  if (!request) return null;
 
-  const listing = await formatListing(request.listingId);
   return {
-    requestId,
-    researcherId: request.researcherId,
-    listingId: request.listingId,
-    purpose: request.purpose,
-    offeredPrice: request.offeredPrice.toString(),
+    ...request,
     offeredPriceFormatted: ethers.formatEther(request.offeredPrice),
-    requestedAt: Number(request.requestedAt),
-    status: Number(request.status),
-    statusLabel: REQUEST_STATUS[Number(request.status)] || "Unknown",
-    decryptionKeyURI: request.decryptionKeyURI,
-    listing,
+    escrowAmountFormatted: ethers.formatEther(request.escrowAmount),
+    counterOfferFormatted: request.counterOffer ? ethers.formatEther(request.counterOffer) : null,
+    negotiation: request.negotiation.map((round) => ({
+      ...round,
+      priceFormatted: ethers.formatEther(round.price),
+    })),
+    statusLabel: REQUEST_STATUS[request.status] || "Unknown",
+    listing: formatListing(request.listingId),
+  };
+}
+
+function formatConsent(consent) {
+  const status = Number(consent.status);
+  const expiresAt = Number(consent.expiresAt);
+  const maxAccessCount = Number(consent.maxAccessCount);
+  const currentAccessCount = Number(consent.currentAccessCount);
+  const categoryKey = categoryKeyFromBytes(consent.dataCategory);
+  const researcher = indexer.getResearcher(consent.researcherId);
+
+  return {
+    patientId: consent.patientId,
+    researcherId: consent.researcherId,
+    institutionName: researcher ? researcher.institutionName : null,
+    dataCategory: consent.dataCategory,
+    categoryKey,
+    categoryLabel: categoryLabel(categoryKey),
+    status,
+    statusLabel: CONSENT_STATUS[status] || "Unknown",
+    // Mirrors ConsentManager.isConsentValid
+    isValid:
+      status === 1 &&
+      Math.floor(Date.now() / 1000) <= expiresAt &&
+      (maxAccessCount === 0 || currentAccessCount < maxAccessCount),
+    grantedAt: Number(consent.grantedAt),
+    expiresAt,
+    revokedAt: Number(consent.revokedAt),
+    purpose: consent.purpose,
+    allowDerivativeWorks: consent.allowDerivativeWorks,
+    allowCommercialUse: consent.allowCommercialUse,
+    requireNotification: consent.requireNotification,
+    maxAccessCount,
+    currentAccessCount,
+    agreedPrice: consent.agreedPrice.toString(),
+    agreedPriceFormatted: ethers.formatEther(consent.agreedPrice),
+  };
+}
+
+function formatTemplate(template) {
+  return {
+    ...template,
+    durationDays: template.defaultDuration / SECONDS_PER_DAY,
+  };
+}
+
+async function requirePatient(walletAddress) {
+  const patientId = await getPatientIdForWallet(walletAddress);
+  if (patientId === ethers.ZeroHash) {
+    const error = new Error("Patient not registered");
+    error.status = 404;
+    throw error;
+  }
+  return patientId;
+}
+
+function requireConsentTarget(body) {
+  const { researcherId, category } = body;
+  if (!researcherId || !indexer.getResearcher(researcherId)) {
+    const error = new Error("Researcher not registered");
+    error.status = 404;
+    throw error;
+  }
+
+  const categoryBytes = CATEGORY_BYTES[category];
+  if (!categoryBytes) {
+    const error = new Error("Invalid category");
+    error.status = 400;
+    throw error;
+  }
+
+  return { researcherId, categoryBytes };
+}
+
+/**
+ * Load a listing the signed-in patient owns, refusing changes while approved
+ * requests on it are still waiting for payment.
+ */
+async function requireOwnSettledListing(req, walletAddress, listingId) {
+  requireAddress(walletAddress, "walletAddress");
+  requireSessionWallet(req, walletAddress);
+  const patientId = await requirePatient(walletAddress);
+
+  await indexer.sync();
+  const listing = listingId ? indexer.getListing(listingId) : null;
+  if (!listing) {
+    const error = new Error("Listing not found");
+    error.status = 404;
+    throw error;
+  }
+  if (listing.patientId !== patientId) {
+    const error = new Error("Only the listing owner can change this listing");
+    error.status = 403;
+    throw error;
+  }
+  if (listing.retired) {
+    const error = new Error("Listing has been retired");
+    error.status = 409;
+    error.code = "LISTING_RETIRED";
+    throw error;
+  }
+
+  const unsettled = indexer
+    .getRequests()
+    .filter((request) => request.listingId === listingId && request.status === 1);
+  if (unsettled.length) {
+    const error = new Error(
+      `Listing has ${unsettled.length} approved request(s) awaiting payment; complete them first`
+    );
+    error.status = 409;
+    error.code = "LISTING_HAS_UNSETTLED_REQUESTS";
+    throw error;
+  }
+
+  return listing;
+}
+
+// What an applicant sees of their own application; evidence stays with the verifiers
+function formatApplicantVerification(role, walletAddress) {
+  const application = verifications.findByWallet(role, walletAddress);
+  if (application) {
+    return {
+      applicationId: application.id,
+      status: application.statusLabel,
+      submittedAt: application.submittedAt,
+      reviewedAt: application.reviewedAt,
+      rejectionReason: application.rejectionReason,
+    };
+  }
+
+  // Accounts registered before the queue existed have no application
+  const subject =
+    role === "patient"
+      ? indexer.getPatient(indexer.getPatientIdForWallet(walletAddress))
+      : indexer.getResearcher(indexer.getResearcherIdForWallet(walletAddress));
+  if (!subject) return null;
+  return {
+    applicationId: null,
+    status: subject.status === 2 ? "Verified" : "Pending",
+    submittedAt: null,
+    reviewedAt: null,
+    rejectionReason: null,
+  };
+}
+
+/**
+ * Registering an already registered wallet again resubmits a rejected
+ * application for review; any other registered wallet gets 409. Nothing is
+ * sent on-chain, but async clients still get a job like a first registration.
+ */
+async function resubmitVerification(req, res, role, subjectId, walletAddress) {
+  const existing = verifications.findBySubject(role, subjectId);
+  if (!existing || existing.status !== "rejected") {
+    return res.status(409).json({ error: "Wallet already registered" });
+  }
+
+  await respondWithOperation(req, res, "Resubmit verification", [], () => {
+    const application = verifications.submit({ role, subjectId, walletAddress });
+    return {
+      [`${role}Id`]: subjectId,
+      walletAddress,
+      status: "Pending",
+      applicationId: application.id,
+    };
+  });
+}
+
+// Researchers get no categories here; they apply for each one separately
+function verificationStep(application) {
+  return application.role === "patient"
+    ? txStep("Verify patient", contracts.PatientRegistry, "verifyPatient", [application.subjectId])
+    : txStep("Verify researcher", contracts.ResearcherRegistry, "verifyResearcher", [
+        application.subjectId,
+      ]);
+}
+
+function formatCategories(categoryHashes) {
+  return categoryHashes.map((categoryBytes) => {
+    const key = categoryKeyFromBytes(categoryBytes);
+    return { key, label: categoryLabel(key) };
+  });
+}
+
+/**
+ * Refuse sensitive categories to researchers below the category's minimum access tier.
+ */
+async function requireCategoryTier(researcherId, categoryKey) {
+  const minTier = CATEGORY_MIN_TIERS[categoryKey];
+  if (!minTier) return;
+
+  const tier = Number(await contracts.ResearcherRegistry.getAccessTier(researcherId));
+  if (tier < minTier) {
+    const error = new Error(
+      `${categoryLabel(categoryKey)} data requires the ${TIER_NAMES[minTier]} access tier or higher`
+    );
+    error.status = 403;
+    error.code = "TIER_TOO_LOW";
+    throw error;
+  }
+}
+
+function formatStatusHistory(history, labels) {
+  return history.map((entry) => ({ ...entry, statusLabel: labels[entry.status] }));
+}
+
+/**
+ * A patient or researcher as the moderation console sees it, with its status
+ * history from the registry events and the server-side case records.
+ */
+function formatModeratedAccount(role, subjectId) {
+  if (role === "patient") {
+    const patient = indexer.getPatient(subjectId);
+    return patient && {
+      role,
+      subjectId,
+      walletAddress: patient.walletAddress,
+      status: patient.status,
+      statusLabel: PATIENT_STATUS[patient.status],
+      totalDataSets: patient.totalDataSets,
+      totalEarningsFormatted: ethers.formatEther(patient.totalEarnings),
+      statusHistory: formatStatusHistory(patient.statusHistory, PATIENT_STATUS),
+      cases: moderationLog.list({ role, subjectId }),
+    };
+  }
+
+  const researcher = indexer.getResearcher(subjectId);
+  return researcher && {
+    role,
+    subjectId,
+    walletAddress: researcher.walletAddress,
+    institutionName: researcher.institutionName,
+    status: researcher.status,
+    statusLabel: RESEARCHER_STATUS[researcher.status],
+    reputationScore: researcher.reputationScore,
+    ethicsViolations: researcher.ethicsViolations,
+    totalDataAccesses: researcher.totalDataAccesses,
+    statusHistory: formatStatusHistory(researcher.statusHistory, RESEARCHER_STATUS),
+    cases: moderationLog.list({ role, subjectId }),
+  };
+}
+
+// What moved a researcher's reputation, from the other events in the same transaction
+const REPUTATION_CAUSES = {
+  study_completed: "Successful study",
+  ethics_violation: "Ethics violation",
+};
+
+/**
+ * Every ReputationUpdated event for a researcher, oldest first, with the
+ * change and its cause. Direct updateReputation calls are adjustments.
+ */
+function formatReputationTimeline(researcher) {
+  return researcher.statusHistory
+    .filter((entry) => entry.event === "reputation_updated")
+    .map((entry) => {
+      const cause = researcher.statusHistory.find(
+        (sibling) =>
+          sibling.transactionHash === entry.transactionHash && REPUTATION_CAUSES[sibling.event]
+      );
+      return {
+        at: entry.at,
+        oldScore: entry.oldScore,
+        newScore: entry.newScore,
+        change: entry.newScore - entry.oldScore,
+        cause: cause ? REPUTATION_CAUSES[cause.event] : "Reputation adjustment",
+        reason: cause && cause.reason ? cause.reason : null,
+        transactionHash: entry.transactionHash,
+      };
+    });
+}
+
+// Accepts a bare DOI, a doi: prefix or a doi.org link; returns the bare DOI
+function normalizeDoi(value) {
+  const doi = String(value || "")
+    .trim()
+    .replace(/^(doi:|https?:\/\/(dx\.)?doi\.org\/)/i, "");
+  if (!/^10\.\d{4,9}\/\S+$/.test(doi)) {
+    const error = new Error("Invalid DOI, expected something like 10.1234/abcd");
+    error.status = 400;
+    throw error;
+  }
+  return doi;
+}
+
+function requireUri(value, fieldName) {
+  try {
+    return new URL(String(value || "").trim()).toString();
+  } catch {
+    const error = new Error(`Invalid ${fieldName}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+async function formatAllowlistAccount(address) {
+  const accountType = Number(await contracts.AccountRules.getAccountType(address));
+  return {
+    address,
+    accountType,
+    accountTypeKey: ACCOUNT_TYPES[accountType].key,
+    accountTypeLabel: ACCOUNT_TYPES[accountType].label,
+  };
+}
+
+async function formatNode(nodeId, validatorIds) {
+  const node = await contracts.NodeRules.nodes(nodeId);
+  const nodeType = Number(node.nodeType);
+  const indexed = indexer.getNode(nodeId);
+  const status = indexed ? indexed.status : node.isActive ? "active" : "deactivated";
+  return {
+    ...nodeDirectory.describe(node.enodeHigh, node.enodeLow),
+    nodeType,
+    nodeTypeKey: NODE_TYPES[nodeType].key,
+    nodeTypeLabel: NODE_TYPES[nodeType].label,
+    organizationName: node.organizationName,
+    isActive: node.isActive,
+    status,
+    statusLabel: NODE_STATUS[status],
+    isValidator: validatorIds.includes(nodeId),
+    addedAt: Number(node.addedAt),
+  };
+}
+
+/**
+ * The addAccount step that registration appends when ALLOWLIST_ON_REGISTER is
+ * set. Wallets already on the allowlist keep their current type.
+ */
+async function allowlistSteps(walletAddress, typeKey) {
+  if (!ALLOWLIST_ON_REGISTER || (await contracts.AccountRules.isAccountAllowed(walletAddress))) {
+    return [];
+  }
+  return [
+    txStep("Add to allowlist", contracts.AccountRules, "addAccount", [
+      walletAddress,
+      parseAccountType(typeKey),
+    ]),
+  ];
+}
+
+function requireInteger(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    const error = new Error(`${name} must be an integer between ${min} and ${max}`);
+    error.status = 400;
+    throw error;
+  }
+  return number;
+}
+
+async function formatFeeSettings() {
+  const [platformFeeBps, maxFeeBps, platformFeeRecipient] = await Promise.all([
+    contracts.DataMarketplace.platformFeeBps(),
+    contracts.DataMarketplace.MAX_FEE_BPS(),
+    contracts.DataMarketplace.platformFeeRecipient(),
+  ]);
+  return {
+    platformFeeBps: Number(platformFeeBps),
+    maxFeeBps: Number(maxFeeBps),
+    platformFeeRecipient,
+  };
+}
+
+/**
+ * How many of the researcher's requests are approved but not yet completed,
+ * against the maxConcurrentAccess of their access tier.
+ */
+async function concurrentAccess(researcherId) {
+  const tier = Number(await contracts.ResearcherRegistry.getAccessTier(researcherId));
+  const accessTier = await contracts.ResearcherRegistry.accessTiers(tier);
+  const open = indexer
+    .getRequests()
+    .filter((request) => request.researcherId === researcherId && request.status === 1).length;
+  return { tier, open, max: Number(accessTier.maxConcurrentAccess) };
+}
+
+async function requireConcurrentSlot(researcherId) {
+  const { tier, open, max } = await concurrentAccess(researcherId);
+  if (open >= max) {
+    const error = new Error(
+      `The researcher already has ${open} approved requests awaiting completion, ` +
+        `the ${TIER_NAMES[tier]} tier allows ${max}`
+    );
+    error.status = 409;
+    error.code = "CONCURRENT_ACCESS_LIMIT";
+    throw error;
+  }
+}
+
+/**
+ * Price a listing for a researcher: the base price less their tier discount,
+ * never below the patient's minimum or the consent's agreed price (the floors
+ * DataMarketplace.minimumOffer and completeAccess apply), split into platform
+ * fee and patient payout.
+ */
+async function buildQuote(researcherId, listingId) {
+  const listing = await contracts.DataMarketplace.listings(listingId);
+  if (listing.createdAt === 0n) {
+    const error = new Error("Listing not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const [tierPrice, feeBps, minPrice, agreedPrice, slots] = await Promise.all([
+    contracts.DataMarketplace.tierPrice(researcherId, listingId),
+    contracts.DataMarketplace.platformFeeBps(),
+    contracts.ConsentManager.patientMinPrice(listing.patientId),
+    contracts.ConsentManager.getAgreedPrice(listing.patientId, researcherId, listing.dataCategory),
+    concurrentAccess(researcherId),
+  ]);
+  const { discountBps } = await contracts.ResearcherRegistry.accessTiers(slots.tier);
+
+  let price = tierPrice > minPrice ? tierPrice : minPrice;
+  if (agreedPrice > price) price = agreedPrice;
+  const platformFee = (price * feeBps) / 10000n;
+  const amounts = {
+    basePrice: listing.basePrice,
+    discount: listing.basePrice - tierPrice,
+    minPrice,
+    agreedPrice,
+    price,
+    platformFee,
+    patientPayout: price - platformFee,
+  };
+
+  const quote = {
+    researcherId,
+    listingId,
+    tier: slots.tier,
+    tierName: TIER_NAMES[slots.tier],
+    discountBps: Number(discountBps),
+    platformFeeBps: Number(feeBps),
+    openApprovals: slots.open,
+    maxConcurrentAccess: slots.max,
+  };
+  for (const [key, amount] of Object.entries(amounts)) {
+    quote[key] = amount.toString();
+    quote[`${key}Formatted`] = ethers.formatEther(amount);
+  }
+  return quote;
+}
+
+async function requireListingOwner(req, requestId) {
+  await indexer.sync();
+  const request = formatAccessRequest(requestId);
+  if (!request || !request.listing) {
+    const error = new Error("Access request not found");
+    error.status = 404;
+    throw error;
+  }
+
+  const patientWallet = await contracts.PatientRegistry.getPatientWallet(
+    request.listing.patientId
+  );
+  if (patientWallet.toLowerCase() !== req.wallet.toLowerCase()) {
+    const error = new Error("Only the listing owner can act on this request");
+    error.status = 403;
+    throw error;
+  }
+
+  return request;
+}
+
+/**
+ * Approving a request, completing it or accepting the researcher's revision
+ * moves the researcher's escrow and top-ups, so their wallet has to be allowed
+ * as well as the patient's.
+ */
+async function requirePermittedResearcher(request) {
+  const researcher = indexer.getResearcher(request.researcherId);
+  await accountGate.requireAllowed(researcher.walletAddress, "researcher");
+}
+
+/**
+ * Load a request made by the researcher behind walletAddress, or throw 404/403.
+ */
+async function requireRequestResearcher(walletAddress, requestId) {
+  await indexer.sync();
+  const request = formatAccessRequest(requestId);
+  if (!request) {
+    const error = new Error("Access request not found");
+    error.status = 404;
+    throw error;
+  }
+  if (request.researcherId !== indexer.getResearcherIdForWallet(walletAddress)) {
+    const error = new Error("Only the researcher who made the request can act on it");
+    error.status = 403;
+    throw error;
+  }
+  return request;
+}
+
+function paymentError(code, message) {
+  const error = new Error(message);
+  error.status = 422;
+  error.code = code;
+  return error;
+}
+
+/**
+ * What completeAccess charges for a request: the offer, or the consent's agreed
+ * price when that is higher. Returns the consent it read alongside the amount.
+ */
+async function paymentDue(request) {
+  const consent = formatConsent(
+    await contracts.ConsentManager.getConsent(
+      request.listing.patientId,
+      request.researcherId,
+      request.listing.dataCategory
+    )
+  );
+  const offered = BigInt(request.offeredPrice);
+  const agreed = BigInt(consent.agreedPrice);
+  // A negotiated price replaces the consent's agreed price
+  if (request.negotiated) return { amount: offered, consent };
+  return { amount: agreed > offered ? agreed : offered, consent };
+}
+
+/**
+ * What a researcher's pending and approved requests may still pull from their
+ * wallet on completion: consent prices above the escrowed offer.
+ */
+async function outstandingTopUps(researcherId) {
+  const unsettled = indexer
+    .getRequests()
+    .filter((request) => request.researcherId === researcherId && request.status <= 1)
+    .map((request) => formatAccessRequest(request.requestId));
+
+  let total = 0n;
+  for (const request of unsettled) {
+    const { amount } = await paymentDue(request);
+    const escrowed = BigInt(request.escrowAmount);
+    if (amount > escrowed) total += amount - escrowed;
+  }
+  return total;
+}
+
+/**
+ * EIP-2612 permit typed data letting the marketplace pull `value` HEALTH from `owner`.
+ */
+async function buildPaymentPermit(owner, value, deadline) {
+  const [domain, nonce] = await Promise.all([
+    contracts.HealthToken.eip712Domain(),
+    contracts.HealthToken.nonces(owner),
+  ]);
+  return {
+    domain: {
+      name: domain.name,
+      version: domain.version,
+      chainId: Number(domain.chainId),
+      verifyingContract: domain.verifyingContract,
+    },
+    types: {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    },
+    message: {
+      owner: ethers.getAddress(owner),
+      spender: deployment.contracts.DataMarketplace,
+      value: String(value),
+      nonce: nonce.toString(),
+      deadline: String(deadline),
+    },
   };
 }
 
-async function getAllFormattedRequests() {
-  const requestIds = await contracts.DataMarketplace.getAllRequests();
-  const requests = [];
+async function formatPaymentAllowance(owner) {
+  const [balance, allowance] = await Promise.all([
+    contracts.HealthToken.balanceOf(owner),
+    contracts.HealthToken.allowance(owner, deployment.contracts.DataMarketplace),
+  ]);
+  return {
+    balance: balance.toString(),
+    balanceFormatted: ethers.formatEther(balance),
+    allowance: allowance.toString(),
+    allowanceFormatted: ethers.formatEther(allowance),
+  };
+}
 
-  for (const requestId of requestIds) {
-    const request = await formatAccessRequest(requestId);
-    if (request) requests.push(request);
+/**
+ * Refuse before sending anything when the marketplace could not pull `amount`
+ * from the researcher's wallet.
+ */
+async function requireResearcherFunds(wallet, amount) {
+  const funds = await formatPaymentAllowance(wallet);
+  if (BigInt(funds.balance) < amount) {
+    throw paymentError(
+      "INSUFFICIENT_BALANCE",
+      `The researcher's balance of ${funds.balanceFormatted} HEALTH does not cover ` +
+        `${ethers.formatEther(amount)} HEALTH`
+    );
+  }
+  if (BigInt(funds.allowance) < amount) {
+    throw paymentError(
+      "INSUFFICIENT_ALLOWANCE",
+      `The researcher has authorized ${funds.allowanceFormatted} of ` +
+        `${ethers.formatEther(amount)} HEALTH`
+    );
   }
+}
 
-  return requests;
+function wantsAsync(req) {
+  const prefer = req.get("prefer") || "";
+  return req.query.async === "true" || /\brespond-async\b/i.test(prefer);
 }
 
-async function getNetworkStats() {
-  const [totalListings, totalTransactions, totalVolume] =
-    await contracts.DataMarketplace.getStats();
+/**
+ * Run an operation and answer with `buildResult()` once its events are indexed.
+ * Clients that send `Prefer: respond-async` or `?async=true` get 202 with a job
+ * to poll instead of waiting for every transaction to be mined.
+ */
+async function respondWithOperation(req, res, label, steps, buildResult) {
+  const finish = async (operation) => {
+    await indexer.sync();
+    return buildResult(operation);
+  };
+
+  if (wantsAsync(req)) {
+    const job = jobs.start({ label, steps, wallet: req.wallet, finish });
+    return res.status(202).location(`/api/jobs/${job.jobId}`).json(job);
+  }
 
-  const totalPatients = await contracts.PatientRegistry.totalPatients();
-  const totalResearchers = await contracts.ResearcherRegistry.totalResearchers();
+  const operation = await transactions.run(label, steps);
+  res.json({ ...(await finish(operation)), operation });
+}
 
-  let totalPatientEarnings = 0n;
-  const listingIds = await contracts.DataMarketplace.getAllListings();
-  for (const listingId of listingIds) {
-    const listing = await contracts.DataMarketplace.listings(listingId);
-    totalPatientEarnings += listing.totalEarnings;
+/**
+ * Arguments of the first `eventName` log that `contract` emitted in the mined
+ * step of `operation` at `stepIndex`, or null.
+ */
+async function findStepEvent(operation, stepIndex, contract, eventName) {
+  const receipt = await provider.getTransactionReceipt(operation.steps[stepIndex].hash);
+  const address = (await contract.getAddress()).toLowerCase();
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== address) continue;
+    const parsed = contract.interface.parseLog(log);
+    if (parsed && parsed.name === eventName) return parsed.args;
   }
+  return null;
+}
+
+function getNetworkStats() {
+  const stats = indexer.getStats();
+  const listings = indexer.getListings();
+  const totalPatientEarnings = listings.reduce(
+    (total, listing) => total + BigInt(listing.totalEarnings),
+    0n
+  );
 
   return {
-    patients: Number(totalPatients),
-    researchers: Number(totalResearchers),
-    listings: Number(totalListings),
-    transactions: Number(totalTransactions),
-    volume: ethers.formatEther(totalVolume),
+    patients: indexer.getPatients().length,
+    researchers: indexer.getResearchers().length,
+    listings: listings.length,
+    transactions: stats.totalTransactions,
+    volume: ethers.formatEther(stats.totalVolume),
+    escrowed: ethers.formatEther(stats.totalEscrowed),
     patientEarnings: ethers.formatEther(totalPatientEarnings),
   };
 }
@@ -162,6 +881,7 @@ function createApp() {
       network: NETWORK,
       chainId: deployment.chainId,
       operator: operator.address,
+      indexedBlock: indexer.getLastBlock(),
     });
   });
 
@@ -175,67 +895,232 @@ function createApp() {
         key,
         label: categoryLabel(key),
         hash,
+        minTier: CATEGORY_MIN_TIERS[key] || 1,
       })),
     });
   });
 
-  app.get("/api/stats", async (_req, res, next) => {
+  app.get("/api/quote", async (req, res, next) => {
     try {
-      res.json(await getNetworkStats());
+      const { wallet, listingId } = req.query;
+      requireAddress(wallet, "wallet");
+      if (!listingId) {
+        return res.status(400).json({ error: "listingId is required" });
+      }
+
+      const researcherId = await getResearcherIdForWallet(wallet);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+
+      await indexer.sync();
+      res.json({ quote: await buildQuote(researcherId, listingId) });
     } catch (error) {
       next(error);
     }
   });
 
-  app.get("/api/listings", async (_req, res, next) => {
+  app.post("/api/auth/nonce", (req, res, next) => {
     try {
-      const listingIds = await contracts.DataMarketplace.getAllListings();
-      const listings = [];
+      const { walletAddress } = req.body;
+      requireAddress(walletAddress, "walletAddress");
 
-      for (const listingId of listingIds) {
-        const listing = await formatListing(listingId);
-        if (listing && listing.isActive) listings.push(listing);
-      }
+      const host = req.get("host");
+      res.json(
+        createChallenge({
+          walletAddress,
+          domain: host,
+          uri: `${req.protocol}://${host}`,
+          chainId: deployment.chainId,
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      res.json({ listings });
+  app.post("/api/auth/verify", (req, res, next) => {
+    try {
+      const { message, signature } = req.body;
+      res.json(verifyChallenge(message, signature));
     } catch (error) {
       next(error);
     }
   });
 
-  app.get("/api/patient/:wallet", async (req, res, next) => {
+  app.get("/api/auth/session", async (req, res, next) => {
     try {
-      requireAddress(req.params.wallet, "wallet address");
-      const patientId = await getPatientIdForWallet(req.params.wallet);
+      const session = getSession(getBearerToken(req));
+      if (!session) {
+        return res.json({ authenticated: false });
+      }
+      res.json({
+        authenticated: true,
+        walletAddress: session.address,
+        expiresAt: new Date(session.expiresAt).toISOString(),
+        isAdmin: isAdmin(session.address),
+        permitted: !accountGate.enforced || (await accountGate.isAllowed(session.address)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      if (patientId === ethers.ZeroHash) {
-        return res.json({ registered: false });
+  app.post("/api/auth/logout", (req, res) => {
+    revokeSession(getBearerToken(req));
+    res.json({ ok: true });
+  });
+
+  app.post("/api/events/ticket", requireSession, (req, res) => {
+    res.json(createStreamTicket(getBearerToken(req)));
+  });
+
+  // EventSource cannot send headers, so a signed-in stream opens with a
+  // one-time ?ticket= instead; the session token never goes in the URL
+  app.get("/api/events", (req, res) => {
+    if (req.query.token) {
+      return res.status(400).json({
+        error: "Open the stream with a ticket from POST /api/events/ticket",
+        code: "STREAM_TICKET_REQUIRED",
+      });
+    }
+
+    let session = null;
+    if (req.query.ticket) {
+      session = redeemStreamTicket(String(req.query.ticket));
+      if (!session) {
+        return res.status(401).json({ error: "Stream ticket expired or already used" });
       }
+    } else if (getBearerToken(req)) {
+      session = getSession(getBearerToken(req));
+      if (!session) {
+        return res.status(401).json({ error: "Session expired, sign in again" });
+      }
+    }
+
+    notifier.subscribe(req, res, session && session.address);
+  });
 
-      const patient = await contracts.PatientRegistry.patients(patientId);
-      const listingIds = await contracts.DataMarketplace.getPatientListings(patientId);
-      const listings = [];
+  app.get("/api/stats", (_req, res) => {
+    res.json(getNetworkStats());
+  });
+
+  app.get("/api/consent-templates", (_req, res) => {
+    const templates = indexer
+      .getTemplates()
+      .sort((a, b) => a.templateId - b.templateId)
+      .map(formatTemplate);
+    res.json({ templates });
+  });
 
-      for (const listingId of listingIds) {
-        const listing = await formatListing(listingId);
-        if (listing) listings.push(listing);
+  app.post("/api/admin/consent-templates", requireAdmin, async (req, res, next) => {
+    try {
+      const {
+        name,
+        durationDays,
+        allowDerivativeWorks,
+        allowCommercialUse,
+        requireNotification,
+        maxAccessCount,
+      } = req.body;
+
+      const templateName = String(name || "").trim();
+      if (!templateName) {
+        return res.status(400).json({ error: "name is required" });
+      }
+      const days = Number(durationDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        return res.status(400).json({ error: "durationDays must be a positive number" });
+      }
+      const maxAccesses = Number(maxAccessCount ?? 0);
+      if (!Number.isInteger(maxAccesses) || maxAccesses < 0) {
+        return res.status(400).json({ error: "maxAccessCount must be a non-negative integer" });
       }
 
-      const allRequests = await getAllFormattedRequests();
-      const patientRequests = allRequests.filter(
-        (request) => request.listing && request.listing.patientId === patientId
+      await respondWithOperation(
+        req,
+        res,
+        "Create consent template",
+        [
+          txStep("Create consent template", contracts.ConsentManager, "createTemplate", [
+            templateName,
+            Math.round(days * SECONDS_PER_DAY),
+            Boolean(allowDerivativeWorks),
+            Boolean(allowCommercialUse),
+            requireNotification === undefined ? true : Boolean(requireNotification),
+            maxAccesses,
+          ]),
+        ],
+        async (operation) => {
+          // Names are not unique, so the template is the one this transaction created
+          const { templateId } = await findStepEvent(
+            operation,
+            0,
+            contracts.ConsentManager,
+            "TemplateCreated"
+          );
+          return { template: formatTemplate(indexer.getTemplate(Number(templateId))) };
+        }
       );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/listings", (req, res, next) => {
+    try {
+      const options = parseListingQuery(req.query);
+      // Listings of patients who opted out of sharing are not offered to anyone
+      const activeListings = indexer
+        .getListings()
+        .filter((listing) => listing.isActive && !indexer.getPatient(listing.patientId).optedOut);
+      const { listings, total, nextCursor } = searchListings(activeListings, options);
+
+      res.json({
+        listings: listings.map((listing) => formatListing(listing.listingId)),
+        total,
+        limit: options.limit,
+        nextCursor,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/patient/:wallet", (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      const patientId = indexer.getPatientIdForWallet(req.params.wallet);
+
+      if (patientId === ethers.ZeroHash) {
+        return res.json({ registered: false });
+      }
+
+      const patient = indexer.getPatient(patientId);
+      const listings = indexer
+        .getListings()
+        .filter((listing) => listing.patientId === patientId)
+        .map((listing) => formatListing(listing.listingId));
+
+      const listingIds = new Set(listings.map((listing) => listing.listingId));
+      const patientRequests = indexer
+        .getRequests()
+        .filter((request) => listingIds.has(request.listingId))
+        .map((request) => formatAccessRequest(request.requestId));
       const pendingRequests = patientRequests.filter((request) => request.status === 0);
 
       res.json({
         registered: true,
         patientId,
         walletAddress: patient.walletAddress,
-        status: Number(patient.status),
-        statusLabel: PATIENT_STATUS[Number(patient.status)],
-        totalDataSets: Number(patient.totalDataSets),
-        totalEarnings: patient.totalEarnings.toString(),
+        status: patient.status,
+        statusLabel: PATIENT_STATUS[patient.status],
+        totalDataSets: patient.totalDataSets,
+        totalEarnings: patient.totalEarnings,
         totalEarningsFormatted: ethers.formatEther(patient.totalEarnings),
+        optedOut: patient.optedOut,
+        minPrice: patient.minPrice,
+        minPriceFormatted: ethers.formatEther(patient.minPrice),
         listings,
         pendingRequests,
         accessRequests: patientRequests,
@@ -248,37 +1133,54 @@ function createApp() {
   app.get("/api/researcher/:wallet", async (req, res, next) => {
     try {
       requireAddress(req.params.wallet, "wallet address");
-      const researcherId = await getResearcherIdForWallet(req.params.wallet);
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
 
       if (researcherId === ethers.ZeroHash) {
         return res.json({ registered: false });
       }
 
-      const researcher = await contracts.ResearcherRegistry.researchers(researcherId);
-      const tier = await contracts.ResearcherRegistry.getAccessTier(researcherId);
-      const requestIds = await contracts.DataMarketplace.getResearcherRequests(researcherId);
-      const requests = [];
-
-      for (const requestId of requestIds) {
-        const request = await formatAccessRequest(requestId);
-        if (request) requests.push(request);
-      }
+      const researcher = indexer.getResearcher(researcherId);
+      const [tier, requestTimeout, ttl] = await Promise.all([
+        contracts.ResearcherRegistry.getAccessTier(researcherId),
+        contracts.DataMarketplace.requestTimeout(),
+        sweeper.getTtl(),
+      ]);
+      const requests = indexer
+        .getRequests()
+        .filter((request) => request.researcherId === researcherId)
+        .map((request) => {
+          const open = request.status <= 1;
+          return {
+            ...formatAccessRequest(request.requestId),
+            // The researcher can reclaim a pending request's escrow from refundableAt;
+            // the sweeper expires the request at expiresAt
+            refundableAt:
+              request.status === 0 ? request.requestedAt + Number(requestTimeout) : null,
+            expiresAt: open ? request.requestedAt + ttl : null,
+          };
+        });
 
       const accessed = requests.filter((request) => request.status === 3);
+      const escrowed = requests
+        .filter((request) => request.escrowStatus === "held")
+        .reduce((total, request) => total + BigInt(request.escrowAmount), 0n);
 
       res.json({
         registered: true,
         researcherId,
         walletAddress: researcher.walletAddress,
         institutionName: researcher.institutionName,
-        status: Number(researcher.status),
-        reputationScore: Number(researcher.reputationScore),
-        reputationPercent: `${(Number(researcher.reputationScore) / 100).toFixed(0)}%`,
+        status: researcher.status,
+        reputationScore: researcher.reputationScore,
+        reputationPercent: `${(researcher.reputationScore / 100).toFixed(0)}%`,
         accessTier: Number(tier),
         accessTierLabel: TIER_NAMES[Number(tier)] || "Unknown",
-        totalDataAccesses: Number(researcher.totalDataAccesses),
-        totalSpent: researcher.totalSpent.toString(),
+        totalDataAccesses: researcher.totalDataAccesses,
+        totalSpent: researcher.totalSpent,
         totalSpentFormatted: ethers.formatEther(researcher.totalSpent),
+        totalEscrowed: escrowed.toString(),
+        totalEscrowedFormatted: ethers.formatEther(escrowed),
+        approvedCategories: formatCategories(researcher.approvedCategories),
         requests,
         accessed,
       });
@@ -287,120 +1189,1221 @@ function createApp() {
     }
   });
 
-  app.post("/api/patient/register", async (req, res, next) => {
-    try {
-      const { walletAddress, metadataUri } = req.body;
-      requireAddress(walletAddress, "walletAddress");
-
-      const existingId = await getPatientIdForWallet(walletAddress);
-      if (existingId !== ethers.ZeroHash) {
-        return res.status(409).json({ error: "Wallet already registered" });
-      }
-
-      const patientId = makeId("patient", walletAddress);
-      const metadata = metadataUri || `ipfs://sybron-patient-${walletAddress.slice(2, 10)}`;
+  app.get("/api/jobs/:id", requireSession, (req, res) => {
+    const job = jobs.get(req.params.id, req.wallet);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  });
 
-      await (
-        await contracts.PatientRegistry.registerPatient(patientId, walletAddress, metadata)
-      ).wait();
-      await (await contracts.PatientRegistry.verifyPatient(patientId)).wait();
+  app.get("/api/verification/:wallet", requirePermittedSession, (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      requireSessionWallet(req, req.params.wallet);
 
-      res.json({ patientId, walletAddress, status: "Verified" });
+      res.json({
+        patient: formatApplicantVerification("patient", req.params.wallet),
+        researcher: formatApplicantVerification("researcher", req.params.wallet),
+      });
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/patient/listing", async (req, res, next) => {
-    try {
-      const { walletAddress, category, description, price, fileUri } = req.body;
-      requireAddress(walletAddress, "walletAddress");
+  app.get("/api/admin/verifications", requireAdmin, (req, res) => {
+    const status = req.query.status || undefined;
+    const role = req.query.role || undefined;
+    if (status && !VERIFICATION_STATUS[status]) {
+      return res.status(400).json({
+        error: `Invalid status, expected one of: ${Object.keys(VERIFICATION_STATUS).join(", ")}`,
+      });
+    }
+    if (role && role !== "patient" && role !== "researcher") {
+      return res.status(400).json({ error: "Invalid role, expected patient or researcher" });
+    }
+    res.json({ applications: verifications.list({ status, role }) });
+  });
+
+  app.post("/api/admin/verifications/backfill", requireAdmin, async (req, res, next) => {
+    try {
+      await indexer.sync();
+      // Registrations still pending on chain that never went through the queue
+      const subjects = [
+        ...indexer
+          .getPatients()
+          .filter((patient) => patient.status === 1)
+          .map((patient) => ({
+            role: "patient",
+            subjectId: patient.patientId,
+            walletAddress: patient.walletAddress,
+          })),
+        ...indexer
+          .getResearchers()
+          .filter((researcher) => researcher.status === 1)
+          .map((researcher) => ({
+            role: "researcher",
+            subjectId: researcher.researcherId,
+            walletAddress: researcher.walletAddress,
+          })),
+      ];
+      res.json({ applications: verifications.backfill(subjects) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/verifications/:id", requireAdmin, (req, res) => {
+    const application = verifications.get(req.params.id);
+    if (!application) {
+      return res.status(404).json({ error: "Verification application not found" });
+    }
+    res.json({ application });
+  });
+
+  app.post("/api/admin/verifications/:id/evidence", requireAdmin, (req, res, next) => {
+    try {
+      const { uri, description } = req.body;
+      if (!uri) {
+        return res.status(400).json({ error: "uri is required" });
+      }
+      res.json({
+        application: verifications.addEvidence(req.params.id, { uri, description }, req.wallet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/verifications/:id/approve", requireAdmin, async (req, res, next) => {
+    try {
+      const application = verifications.requireReviewable(req.params.id);
+      const label = application.role === "patient" ? "Verify patient" : "Verify researcher";
+
+      await respondWithOperation(req, res, label, [verificationStep(application)], () => ({
+        application: verifications.markVerified(application.id, req.wallet),
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/verifications/:id/reject", requireAdmin, (req, res, next) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({ error: "reason is required" });
+      }
+      res.json({ application: verifications.markRejected(req.params.id, reason, req.wallet) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/register", registrationSession, async (req, res, next) => {
+    try {
+      const { walletAddress, metadataUri } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const existingId = await getPatientIdForWallet(walletAddress);
+      if (existingId !== ethers.ZeroHash) {
+        return await resubmitVerification(req, res, "patient", existingId, walletAddress);
+      }
+
+      const patientId = makeId("patient", walletAddress);
+      const metadata = metadataUri || `ipfs://sybron-patient-${walletAddress.slice(2, 10)}`;
+
+      await respondWithOperation(
+        req,
+        res,
+        "Register patient",
+        [
+          txStep("Register patient", contracts.PatientRegistry, "registerPatient", [
+            patientId,
+            walletAddress,
+            metadata,
+          ]),
+          ...(await allowlistSteps(walletAddress, "patient")),
+        ],
+        () => {
+          const application = verifications.submit({
+            role: "patient",
+            subjectId: patientId,
+            walletAddress,
+          });
+          return { patientId, walletAddress, status: "Pending", applicationId: application.id };
+        }
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/listing", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, category, description, price, fileUri } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const patientId = await getPatientIdForWallet(walletAddress);
+      if (patientId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Patient not registered" });
+      }
+
+      const categoryKey = category || "genomics";
+      const categoryBytes = CATEGORY_BYTES[categoryKey];
+      if (!categoryBytes) {
+        return res.status(400).json({ error: "Invalid category" });
+      }
+
+      const listingId = makeId("listing", walletAddress);
+      const basePrice = ethers.parseEther(String(price || "100"));
+      const dataUri = fileUri || `ipfs://sybron-data-${listingId.slice(2, 10)}`;
+
+      const steps = [];
+      const bit = CATEGORY_BITS[categoryKey];
+      if (bit) {
+        steps.push(
+          txStep("Update data categories", contracts.PatientRegistry, "updateDataCategories", [
+            patientId,
+            ethers.toBeHex(bit, 32),
+          ])
+        );
+      }
+      steps.push(
+        txStep("Create listing", contracts.DataMarketplace, "createListing", [
+          listingId,
+          patientId,
+          categoryBytes,
+          dataUri,
+          description || "Patient health data listing",
+          basePrice,
+        ])
+      );
+      await respondWithOperation(req, res, "Create listing", steps, () => ({
+        listing: formatListing(listingId),
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/patient/:wallet/consents", requirePermittedSession, async (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      requireSessionWallet(req, req.params.wallet);
+
+      const patientId = indexer.getPatientIdForWallet(req.params.wallet);
+      if (patientId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Patient not registered" });
+      }
+
+      // The index only knows which consents exist; the flags and counters come from the chain
+      const consents = await Promise.all(
+        indexer
+          .getConsents()
+          .filter((consent) => consent.patientId === patientId)
+          .map((consent) =>
+            contracts.ConsentManager.getConsent(
+              consent.patientId,
+              consent.researcherId,
+              consent.dataCategory
+            )
+          )
+      );
+
+      res.json({
+        patientId,
+        consents: consents.map(formatConsent).sort((a, b) => b.grantedAt - a.grantedAt),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/consent", requirePermittedSession, async (req, res, next) => {
+    try {
+      const {
+        walletAddress,
+        templateId,
+        durationDays,
+        purpose,
+        allowDerivativeWorks,
+        allowCommercialUse,
+        requireNotification,
+        maxAccessCount,
+        agreedPrice,
+      } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const patientId = await requirePatient(walletAddress);
+      const { researcherId, categoryBytes } = requireConsentTarget(req.body);
+
+      // Without an explicit price the patient's minimum price is the agreed price
+      const price =
+        agreedPrice !== undefined && agreedPrice !== ""
+          ? ethers.parseEther(String(agreedPrice))
+          : await contracts.ConsentManager.patientMinPrice(patientId);
+      const consentArgs = [patientId, researcherId, categoryBytes];
+      const consentPurpose = purpose || "Marketplace data access";
+
+      let step;
+      if (templateId !== undefined && templateId !== null && templateId !== "") {
+        // The template supplies the duration, flags and access limit
+        const template = indexer.getTemplate(Number(templateId));
+        if (!template) {
+          return res.status(404).json({ error: "Consent template not found" });
+        }
+        step = txStep(
+          `Grant consent (${template.name})`,
+          contracts.ConsentManager,
+          "grantConsentFromTemplate",
+          [...consentArgs, template.templateId, consentPurpose, price]
+        );
+      } else {
+        const days = Number(durationDays ?? 365);
+        if (!Number.isFinite(days) || days <= 0) {
+          return res.status(400).json({ error: "durationDays must be a positive number" });
+        }
+        const maxAccesses = Number(maxAccessCount ?? 0);
+        if (!Number.isInteger(maxAccesses) || maxAccesses < 0) {
+          return res.status(400).json({ error: "maxAccessCount must be a non-negative integer" });
+        }
+        step = txStep("Grant consent", contracts.ConsentManager, "grantConsent", [
+          ...consentArgs,
+          Math.round(days * SECONDS_PER_DAY),
+          consentPurpose,
+          Boolean(allowDerivativeWorks),
+          Boolean(allowCommercialUse),
+          requireNotification === undefined ? true : Boolean(requireNotification),
+          maxAccesses,
+          price,
+        ]);
+      }
+
+      await respondWithOperation(
+        req,
+        res,
+        "Grant consent",
+        [step],
+        async () => ({
+          consent: formatConsent(await contracts.ConsentManager.getConsent(...consentArgs)),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/consent/revoke", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const patientId = await requirePatient(walletAddress);
+      const { researcherId, categoryBytes } = requireConsentTarget(req.body);
+
+      const consentArgs = [patientId, researcherId, categoryBytes];
+      await respondWithOperation(
+        req,
+        res,
+        "Revoke consent",
+        [txStep("Revoke consent", contracts.ConsentManager, "revokeConsent", consentArgs)],
+        async () => ({
+          consent: formatConsent(await contracts.ConsentManager.getConsent(...consentArgs)),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/opt-out", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, optOut } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (typeof optOut !== "boolean") {
+        return res.status(400).json({ error: "optOut must be true or false" });
+      }
+
+      const patientId = await requirePatient(walletAddress);
+      await respondWithOperation(
+        req,
+        res,
+        optOut ? "Opt out of data sharing" : "Opt in to data sharing",
+        [
+          txStep("Set global opt-out", contracts.ConsentManager, "setGlobalOptOut", [
+            patientId,
+            optOut,
+          ]),
+        ],
+        () => ({ patientId, optedOut: indexer.getPatient(patientId).optedOut })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/min-price", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, minPrice } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (minPrice === undefined || minPrice === "" || Number(minPrice) < 0) {
+        return res.status(400).json({ error: "minPrice must be zero or more" });
+      }
+
+      const patientId = await requirePatient(walletAddress);
+      await respondWithOperation(
+        req,
+        res,
+        "Set minimum price",
+        [
+          txStep("Set minimum price", contracts.ConsentManager, "setPatientMinPrice", [
+            patientId,
+            ethers.parseEther(String(minPrice)),
+          ]),
+        ],
+        () => {
+          const patient = indexer.getPatient(patientId);
+          return {
+            patientId,
+            minPrice: patient.minPrice,
+            minPriceFormatted: ethers.formatEther(patient.minPrice),
+          };
+        }
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/listing/update", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, listingId, price, isActive } = req.body;
+      const listing = await requireOwnSettledListing(req, walletAddress, listingId);
+
+      if (price === undefined && isActive === undefined) {
+        return res.status(400).json({ error: "price or isActive is required" });
+      }
+      if (isActive !== undefined && typeof isActive !== "boolean") {
+        return res.status(400).json({ error: "isActive must be true or false" });
+      }
+
+      const newPrice =
+        price === undefined ? BigInt(listing.basePrice) : ethers.parseEther(String(price));
+      const active = isActive === undefined ? listing.isActive : isActive;
+
+      await respondWithOperation(
+        req,
+        res,
+        "Update listing",
+        [
+          txStep("Update listing", contracts.DataMarketplace, "updateListing", [
+            listingId,
+            newPrice,
+            active,
+          ]),
+        ],
+        () => ({ listing: formatListing(listingId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/patient/listing/deactivate", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, listingId } = req.body;
+      await requireOwnSettledListing(req, walletAddress, listingId);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Retire listing",
+        [txStep("Retire listing", contracts.DataMarketplace, "deactivateListing", [listingId])],
+        () => ({ listing: formatListing(listingId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/researcher/register", registrationSession, async (req, res, next) => {
+    try {
+      const { walletAddress, institutionName, credentialsUri, researcherType } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const existingId = await getResearcherIdForWallet(walletAddress);
+      if (existingId !== ethers.ZeroHash) {
+        return await resubmitVerification(req, res, "researcher", existingId, walletAddress);
+      }
+
+      const researcherId = makeId("researcher", walletAddress);
+      const credentials =
+        credentialsUri || `ipfs://sybron-researcher-${walletAddress.slice(2, 10)}`;
+      const type = Number(researcherType ?? 1);
+
+      const steps = [
+        txStep("Register researcher", contracts.ResearcherRegistry, "registerResearcher", [
+          researcherId,
+          walletAddress,
+          type,
+          institutionName || "Research Institution",
+          credentials,
+        ]),
+        ...(await allowlistSteps(walletAddress, "research_institution")),
+      ];
+      await respondWithOperation(req, res, "Register researcher", steps, () => {
+        const application = verifications.submit({
+          role: "researcher",
+          subjectId: researcherId,
+          walletAddress,
+        });
+        return { researcherId, walletAddress, status: "Pending", applicationId: application.id };
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/researcher/:wallet/payment-permit", requirePermittedSession, async (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      requireSessionWallet(req, req.params.wallet);
+
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+
+      // A permit replaces the allowance, so it also covers the top-ups that
+      // earlier requests may still need on completion
+      const amount = req.query.amount ? ethers.parseEther(String(req.query.amount)) : 0n;
+      // The token checks the deadline against block time, not the server clock
+      const latest = await provider.getBlock("latest");
+      const permit = await buildPaymentPermit(
+        req.params.wallet,
+        amount + (await outstandingTopUps(researcherId)),
+        latest.timestamp + PERMIT_TTL_SECONDS
+      );
+      res.json({
+        permit,
+        amountDueFormatted: ethers.formatEther(permit.message.value),
+        ...(await formatPaymentAllowance(req.params.wallet)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/researcher/payment-permit", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, value, deadline, signature } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (!signature || value === undefined || deadline === undefined) {
+        return res.status(400).json({ error: "value, deadline and signature are required" });
+      }
+
+      let split;
+      try {
+        split = ethers.Signature.from(signature);
+      } catch (_) {
+        return res.status(400).json({ error: "Invalid signature" });
+      }
+      const { domain, types, message } = await buildPaymentPermit(walletAddress, value, deadline);
+      const signer = ethers.verifyTypedData(domain, types, message, split);
+      if (signer.toLowerCase() !== walletAddress.toLowerCase()) {
+        throw paymentError("PERMIT_INVALID", "Permit signature is invalid");
+      }
+
+      await respondWithOperation(
+        req,
+        res,
+        "Authorize payment",
+        [
+          txStep("Submit payment permit", contracts.HealthToken, "permit", [
+            message.owner,
+            message.spender,
+            message.value,
+            message.deadline,
+            split.v,
+            split.r,
+            split.s,
+          ]),
+        ],
+        () => formatPaymentAllowance(walletAddress)
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/researcher/:wallet/categories", requirePermittedSession, (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      requireSessionWallet(req, req.params.wallet);
+
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+
+      const researcher = indexer.getResearcher(researcherId);
+      res.json({
+        approvedCategories: formatCategories(researcher.approvedCategories),
+        applications: categoryApplications.list({ researcherId }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/researcher/categories", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, category, justification, documents } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+
+      const researcherId = await getResearcherIdForWallet(walletAddress);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+      if (!CATEGORY_BYTES[category]) {
+        return res.status(400).json({ error: "Invalid category" });
+      }
+      const reason = String(justification || "").trim();
+      if (!reason) {
+        return res.status(400).json({ error: "justification is required" });
+      }
+      if (documents !== undefined && !Array.isArray(documents)) {
+        return res.status(400).json({ error: "documents must be a list of URIs" });
+      }
+
+      const approved = await contracts.ResearcherRegistry.hasCategoryAccess(
+        researcherId,
+        CATEGORY_BYTES[category]
+      );
+      if (approved) {
+        return res.status(409).json({ error: "Category already approved" });
+      }
+      await requireCategoryTier(researcherId, category);
+
+      const application = categoryApplications.submit({
+        researcherId,
+        walletAddress,
+        category,
+        justification: reason,
+        documents: (documents || []).map(String).filter(Boolean),
+      });
+      res.status(201).json({ application });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/category-applications", requireAdmin, (req, res) => {
+    const status = req.query.status || undefined;
+    if (status && !APPLICATION_STATUS[status]) {
+      return res.status(400).json({
+        error: `Invalid status, expected one of: ${Object.keys(APPLICATION_STATUS).join(", ")}`,
+      });
+    }
+    res.json({ applications: categoryApplications.list({ status }) });
+  });
+
+  app.post("/api/admin/category-applications/:id/grant", requireAdmin, async (req, res, next) => {
+    try {
+      const application = categoryApplications.requirePending(req.params.id);
+      // The tier may have dropped while the application waited
+      await requireCategoryTier(application.researcherId, application.category);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Grant category",
+        [
+          txStep(
+            `Approve category ${categoryLabel(application.category)}`,
+            contracts.ResearcherRegistry,
+            "approveCategory",
+            [application.researcherId, CATEGORY_BYTES[application.category]]
+          ),
+        ],
+        () => ({ application: categoryApplications.markGranted(application.id, req.wallet) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/category-applications/:id/deny", requireAdmin, (req, res, next) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({ error: "reason is required" });
+      }
+      res.json({
+        application: categoryApplications.markDenied(req.params.id, reason, req.wallet),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/researcher/:wallet/reputation", (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+
+      const researcher = indexer.getResearcher(researcherId);
+      res.json({
+        researcherId,
+        reputationScore: researcher.reputationScore,
+        completedStudies: researcher.completedStudies,
+        successfulStudies: researcher.successfulStudies,
+        timeline: formatReputationTimeline(researcher),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/researcher/:wallet/study-reports", requirePermittedSession, (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      requireSessionWallet(req, req.params.wallet);
+
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
+      if (researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "Researcher not registered" });
+      }
+      res.json({ reports: studyReports.list({ researcherId }) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/researcher/study-reports", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, requestId, doi, resultsUri, successful, summary } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (typeof successful !== "boolean") {
+        return res.status(400).json({ error: "successful must be true or false" });
+      }
+
+      const request = await requireRequestResearcher(walletAddress, requestId);
+      if (request.status !== 3) {
+        return res.status(409).json({
+          error: "Study outcomes can only be reported for completed requests",
+          code: "REQUEST_NOT_COMPLETED",
+        });
+      }
+
+      const report = studyReports.submit({
+        requestId: request.requestId,
+        researcherId: request.researcherId,
+        walletAddress: ethers.getAddress(walletAddress),
+        doi: normalizeDoi(doi),
+        resultsUri: requireUri(resultsUri, "resultsUri"),
+        successful,
+        summary: String(summary || "").trim(),
+      });
+      res.status(201).json({ report });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/study-reports", requireAdmin, (req, res) => {
+    const status = req.query.status || undefined;
+    if (status && !REPORT_STATUS[status]) {
+      return res.status(400).json({
+        error: `Invalid status, expected one of: ${Object.keys(REPORT_STATUS).join(", ")}`,
+      });
+    }
+    res.json({ reports: studyReports.list({ status }) });
+  });
+
+  app.post("/api/admin/study-reports/:id/accept", requireAdmin, async (req, res, next) => {
+    try {
+      const report = studyReports.requirePending(req.params.id);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Accept study report",
+        [
+          txStep(
+            "Record study completion",
+            contracts.ResearcherRegistry,
+            "recordStudyCompletion",
+            [report.researcherId, report.successful]
+          ),
+        ],
+        () => ({ report: studyReports.markAccepted(report.id, req.wallet) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/study-reports/:id/reject", requireAdmin, (req, res, next) => {
+    try {
+      const reason = String(req.body.reason || "").trim();
+      if (!reason) {
+        return res.status(400).json({ error: "reason is required" });
+      }
+      res.json({ report: studyReports.markRejected(req.params.id, reason, req.wallet) });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  /**
+   * Run one registry moderation call for the account behind :wallet and file
+   * a case record with the admin's reason once it is mined.
+   */
+  async function moderate(req, res, { role, action, details, step }) {
+    requireAddress(req.params.wallet, "wallet address");
+    const reason = String(req.body.reason || "").trim();
+    if (!reason) {
+      return res.status(400).json({ error: "reason is required" });
+    }
+
+    await indexer.sync();
+    const subjectId =
+      role === "patient"
+        ? indexer.getPatientIdForWallet(req.params.wallet)
+        : indexer.getResearcherIdForWallet(req.params.wallet);
+    if (subjectId === ethers.ZeroHash) {
+      return res.status(404).json({
+        error: role === "patient" ? "Patient not registered" : "Researcher not registered",
+      });
+    }
+
+    const label = `${role === "patient" ? "Patient" : "Researcher"}: ${action.replace("_", " ")}`;
+    await respondWithOperation(req, res, label, [step(subjectId, reason)], () => ({
+      moderationCase: moderationLog.record({
+        role,
+        subjectId,
+        walletAddress: ethers.getAddress(req.params.wallet),
+        action,
+        reason,
+        details,
+        actor: req.wallet,
+      }),
+      account: formatModeratedAccount(role, subjectId),
+    }));
+  }
+
+  app.get("/api/admin/accounts", requireAdmin, async (req, res, next) => {
+    try {
+      const query = String(req.query.wallet || "").trim().toLowerCase();
+      if (!query) {
+        return res.status(400).json({ error: "wallet is required" });
+      }
+
+      await indexer.sync();
+      const matches = (accounts, role, idKey) =>
+        accounts
+          .filter((account) => account.walletAddress.toLowerCase().includes(query))
+          .map((account) => formatModeratedAccount(role, account[idKey]));
+      res.json({
+        accounts: [
+          ...matches(indexer.getPatients(), "patient", "patientId"),
+          ...matches(indexer.getResearchers(), "researcher", "researcherId"),
+        ],
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      const patientId = await getPatientIdForWallet(walletAddress);
-      if (patientId === ethers.ZeroHash) {
-        return res.status(404).json({ error: "Patient not registered" });
+  app.get("/api/admin/accounts/:wallet", requireAdmin, async (req, res, next) => {
+    try {
+      requireAddress(req.params.wallet, "wallet address");
+      await indexer.sync();
+      const patientId = indexer.getPatientIdForWallet(req.params.wallet);
+      const researcherId = indexer.getResearcherIdForWallet(req.params.wallet);
+      if (patientId === ethers.ZeroHash && researcherId === ethers.ZeroHash) {
+        return res.status(404).json({ error: "No patient or researcher for this wallet" });
       }
 
-      const categoryKey = category || "genomics";
-      const categoryBytes = CATEGORY_BYTES[categoryKey];
-      if (!categoryBytes) {
-        return res.status(400).json({ error: "Invalid category" });
+      res.json({
+        walletAddress: ethers.getAddress(req.params.wallet),
+        patient: patientId === ethers.ZeroHash ? null : formatModeratedAccount("patient", patientId),
+        researcher:
+          researcherId === ethers.ZeroHash
+            ? null
+            : formatModeratedAccount("researcher", researcherId),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/patients/:wallet/suspend", requireAdmin, async (req, res, next) => {
+    try {
+      await moderate(req, res, {
+        role: "patient",
+        action: "suspend",
+        step: (patientId, reason) =>
+          txStep("Suspend patient", contracts.PatientRegistry, "suspendPatient", [patientId, reason]),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/patients/:wallet/reactivate", requireAdmin, async (req, res, next) => {
+    try {
+      await moderate(req, res, {
+        role: "patient",
+        action: "reactivate",
+        step: (patientId) =>
+          txStep("Reactivate patient", contracts.PatientRegistry, "reactivatePatient", [patientId]),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/researchers/:wallet/suspend", requireAdmin, async (req, res, next) => {
+    try {
+      await moderate(req, res, {
+        role: "researcher",
+        action: "suspend",
+        step: (researcherId, reason) =>
+          txStep("Suspend researcher", contracts.ResearcherRegistry, "suspendResearcher", [
+            researcherId,
+            reason,
+          ]),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post(
+    "/api/admin/researchers/:wallet/ethics-violations",
+    requireAdmin,
+    async (req, res, next) => {
+      try {
+        const penalty = requireInteger(req.body.penalty, "penalty", 0, MAX_REPUTATION);
+        await moderate(req, res, {
+          role: "researcher",
+          action: "ethics_violation",
+          details: { penalty },
+          step: (researcherId, reason) =>
+            txStep(
+              "Record ethics violation",
+              contracts.ResearcherRegistry,
+              "recordEthicsViolation",
+              [researcherId, reason, penalty]
+            ),
+        });
+      } catch (error) {
+        next(error);
       }
+    }
+  );
 
-      const bit = CATEGORY_BITS[categoryKey];
-      if (bit) {
-        await (
-          await contracts.PatientRegistry.updateDataCategories(
-            patientId,
-            ethers.toBeHex(bit, 32)
-          )
-        ).wait();
+  app.post("/api/admin/researchers/:wallet/reputation", requireAdmin, async (req, res, next) => {
+    try {
+      const change = requireInteger(req.body.change, "change", -MAX_REPUTATION, MAX_REPUTATION);
+      if (change === 0) {
+        return res.status(400).json({ error: "change must not be zero" });
       }
+      await moderate(req, res, {
+        role: "researcher",
+        action: "reputation",
+        details: { change },
+        step: (researcherId) =>
+          txStep("Update reputation", contracts.ResearcherRegistry, "updateReputation", [
+            researcherId,
+            change,
+          ]),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      const listingId = makeId("listing", walletAddress);
-      const basePrice = ethers.parseEther(String(price || "100"));
-      const dataUri = fileUri || `ipfs://sybron-data-${listingId.slice(2, 10)}`;
+  app.get("/api/admin/allowlist", requireAdmin, async (req, res, next) => {
+    try {
+      const addresses = await contracts.AccountRules.getAllAccounts();
+      res.json({
+        accounts: await Promise.all(addresses.map(formatAllowlistAccount)),
+        accountTypes: ACCOUNT_TYPES.map((type, value) => ({ value, ...type })),
+        allowlistOnRegister: ALLOWLIST_ON_REGISTER,
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      await (
-        await contracts.DataMarketplace.createListing(
-          listingId,
-          patientId,
-          categoryBytes,
-          dataUri,
-          description || "Patient health data listing",
-          basePrice
-        )
-      ).wait();
+  app.post("/api/admin/allowlist", requireAdmin, async (req, res, next) => {
+    try {
+      const { address } = req.body;
+      requireAddress(address, "address");
+      const accountType = parseAccountType(req.body.accountType);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Add allowlist account",
+        [txStep("Add account", contracts.AccountRules, "addAccount", [address, accountType])],
+        async () => ({ account: await formatAllowlistAccount(ethers.getAddress(address)) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/allowlist/import", requireAdmin, async (req, res, next) => {
+    try {
+      const defaultType = req.body.defaultType ? parseAccountType(req.body.defaultType) : undefined;
+      const { accounts, types } = parseAccountsCsv(req.body.csv, defaultType);
+
+      // addAccounts skips listed accounts silently, so report them up front
+      const allowed = await Promise.all(
+        accounts.map((address) => contracts.AccountRules.isAccountAllowed(address))
+      );
+      const skipped = accounts.filter((address, index) => allowed[index]);
+      const added = accounts.filter((address, index) => !allowed[index]);
+      const addedTypes = types.filter((type, index) => !allowed[index]);
+      if (!added.length) {
+        return res.json({ added: [], skipped });
+      }
 
-      const listing = await formatListing(listingId);
-      res.json({ listing });
+      const steps = [];
+      for (let start = 0; start < added.length; start += ALLOWLIST_BATCH_SIZE) {
+        const end = Math.min(start + ALLOWLIST_BATCH_SIZE, added.length);
+        steps.push(
+          txStep(`Add accounts ${start + 1}-${end}`, contracts.AccountRules, "addAccounts", [
+            added.slice(start, end),
+            addedTypes.slice(start, end),
+          ])
+        );
+      }
+      await respondWithOperation(req, res, "Import allowlist", steps, () => ({ added, skipped }));
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/researcher/register", async (req, res, next) => {
+  app.post("/api/admin/allowlist/:address/type", requireAdmin, async (req, res, next) => {
     try {
-      const { walletAddress, institutionName, credentialsUri, researcherType } = req.body;
-      requireAddress(walletAddress, "walletAddress");
+      requireAddress(req.params.address, "address");
+      const accountType = parseAccountType(req.body.accountType);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Update account type",
+        [
+          txStep("Update account type", contracts.AccountRules, "updateAccountType", [
+            req.params.address,
+            accountType,
+          ]),
+        ],
+        async () => ({
+          account: await formatAllowlistAccount(ethers.getAddress(req.params.address)),
+        })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      const existingId = await getResearcherIdForWallet(walletAddress);
-      if (existingId !== ethers.ZeroHash) {
-        return res.status(409).json({ error: "Wallet already registered" });
+  app.post("/api/admin/allowlist/:address/remove", requireAdmin, async (req, res, next) => {
+    try {
+      requireAddress(req.params.address, "address");
+
+      await respondWithOperation(
+        req,
+        res,
+        "Remove allowlist account",
+        [txStep("Remove account", contracts.AccountRules, "removeAccount", [req.params.address])],
+        () => ({ address: ethers.getAddress(req.params.address), removed: true })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/nodes", requireAdmin, async (req, res, next) => {
+    try {
+      await indexer.sync();
+      const [allIds, validatorIds] = await Promise.all([
+        contracts.NodeRules.getAllNodeIds(),
+        contracts.NodeRules.getValidatorNodeIds(),
+      ]);
+      // A node that was removed and added again appears twice in getAllNodeIds
+      const nodes = await Promise.all(
+        [...new Set(allIds)].map((nodeId) => formatNode(nodeId, validatorIds))
+      );
+      res.json({
+        nodes,
+        validators: validatorIds.map((nodeId) => nodes.find((node) => node.nodeId === nodeId)),
+        nodeTypes: NODE_TYPES.slice(1).map((type, index) => ({ value: index + 1, ...type })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/nodes", requireAdmin, async (req, res, next) => {
+    try {
+      const enode = parseEnodeUrl(req.body.enode, { requireEndpoint: true });
+      const nodeType = parseNodeType(req.body.nodeType);
+      const organizationName = String(req.body.organizationName || "").trim();
+      if (!organizationName) {
+        return res.status(400).json({ error: "organizationName is required" });
       }
 
-      const researcherId = makeId("researcher", walletAddress);
-      const credentials =
-        credentialsUri || `ipfs://sybron-researcher-${walletAddress.slice(2, 10)}`;
-      const type = Number(researcherType ?? 1);
+      await respondWithOperation(
+        req,
+        res,
+        "Add node",
+        [
+          txStep(`Add ${NODE_TYPES[nodeType].key}`, contracts.NodeRules, "addNode", [
+            enode.enodeHigh,
+            enode.enodeLow,
+            nodeType,
+            organizationName,
+          ]),
+        ],
+        async () => {
+          nodeDirectory.remember(enode);
+          const validatorIds = await contracts.NodeRules.getValidatorNodeIds();
+          return { node: await formatNode(enode.nodeId, validatorIds) };
+        }
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      await (
-        await contracts.ResearcherRegistry.registerResearcher(
-          researcherId,
-          walletAddress,
-          type,
-          institutionName || "Research Institution",
-          credentials
-        )
-      ).wait();
-      await (await contracts.ResearcherRegistry.verifyResearcher(researcherId)).wait();
+  /**
+   * Run a NodeRules call that takes the enode halves of the node in the body's
+   * `enode` URL and respond with the node as it is afterwards.
+   */
+  async function changeNode(req, res, label, method) {
+    const enode = parseEnodeUrl(req.body.enode);
+    await respondWithOperation(
+      req,
+      res,
+      label,
+      [txStep(label, contracts.NodeRules, method, [enode.enodeHigh, enode.enodeLow])],
+      async () => {
+        const validatorIds = await contracts.NodeRules.getValidatorNodeIds();
+        return { node: await formatNode(enode.nodeId, validatorIds) };
+      }
+    );
+  }
+
+  app.post("/api/admin/nodes/deactivate", requireAdmin, async (req, res, next) => {
+    try {
+      await changeNode(req, res, "Deactivate node", "deactivateNode");
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/nodes/reactivate", requireAdmin, async (req, res, next) => {
+    try {
+      // NodeRules would reactivate a removed node without restoring it as a validator
+      await indexer.sync();
+      const node = indexer.getNode(parseEnodeUrl(req.body.enode).nodeId);
+      if (node && node.status === "removed") {
+        return res.status(409).json({
+          error: "A removed node has to be added again",
+          code: "NODE_REMOVED",
+        });
+      }
+      await changeNode(req, res, "Reactivate node", "reactivateNode");
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/admin/nodes/remove", requireAdmin, async (req, res, next) => {
+    try {
+      await changeNode(req, res, "Remove node", "removeNode");
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/fees", requireAdmin, async (req, res, next) => {
+    try {
+      res.json({ fees: await formatFeeSettings() });
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      for (const categoryBytes of Object.values(CATEGORY_BYTES)) {
-        await (
-          await contracts.ResearcherRegistry.approveCategory(researcherId, categoryBytes)
-        ).wait();
+  app.post("/api/admin/fees", requireAdmin, async (req, res, next) => {
+    try {
+      const { feeBps, recipient } = req.body;
+      if (feeBps === undefined && recipient === undefined) {
+        return res.status(400).json({ error: "feeBps or recipient is required" });
+      }
+
+      const steps = [];
+      if (feeBps !== undefined) {
+        if (!Number.isInteger(feeBps) || feeBps < 0) {
+          return res.status(400).json({ error: "feeBps must be a non-negative integer" });
+        }
+        steps.push(txStep("Update platform fee", contracts.DataMarketplace, "updatePlatformFee", [feeBps]));
+      }
+      if (recipient !== undefined) {
+        requireAddress(recipient, "recipient");
+        steps.push(
+          txStep("Update fee recipient", contracts.DataMarketplace, "updatePlatformFeeRecipient", [
+            recipient,
+          ])
+        );
       }
 
-      res.json({ researcherId, walletAddress, status: "Verified" });
+      await respondWithOperation(req, res, "Update platform fee", steps, async () => ({
+        fees: await formatFeeSettings(),
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.get("/api/admin/revenue", requireAdmin, async (req, res, next) => {
+    try {
+      await indexer.sync();
+      const { period, from, to } = req.query;
+      res.json({
+        report: buildRevenueReport(indexer.getPayments(), { period, from, to }),
+        fees: await formatFeeSettings(),
+      });
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/researcher/request", async (req, res, next) => {
+  app.post("/api/researcher/request", requirePermittedSession, async (req, res, next) => {
     try {
       const { walletAddress, listingId, purpose, offer } = req.body;
       requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
 
       if (!listingId) {
         return res.status(400).json({ error: "listingId is required" });
@@ -415,121 +2418,359 @@ function createApp() {
       if (listing.createdAt === 0n) {
         return res.status(404).json({ error: "Listing not found" });
       }
+      // Reputation can drop after a category was granted
+      await requireCategoryTier(researcherId, categoryKeyFromBytes(listing.dataCategory));
 
-      const offeredPrice = ethers.parseEther(String(offer || ethers.formatEther(listing.basePrice)));
+      await indexer.sync();
+      await requireConcurrentSlot(researcherId);
+      const quote = await buildQuote(researcherId, listingId);
+
+      const offeredPrice = offer ? ethers.parseEther(String(offer)) : BigInt(quote.price);
       const requestId = makeId("request", walletAddress);
+      const minPrice = BigInt(quote.minPrice);
+
+      const optedOut = await contracts.ConsentManager.globalOptOut(listing.patientId);
+      if (optedOut) {
+        return res.status(403).json({
+          error: "The patient has opted out of data sharing",
+          code: "PATIENT_OPTED_OUT",
+        });
+      }
+      if (offeredPrice < minPrice) {
+        return res.status(422).json({
+          error: `Offer is below the patient's minimum price of ${ethers.formatEther(minPrice)} HEALTH`,
+          code: "PRICE_BELOW_MINIMUM",
+        });
+      }
+      if (offeredPrice < BigInt(quote.price)) {
+        return res.status(422).json({
+          error: `Offer is below the quoted price of ${quote.priceFormatted} HEALTH`,
+          code: "PRICE_BELOW_BASE",
+          quote,
+        });
+      }
 
-      await (
-        await contracts.DataMarketplace.requestAccess(
+      // The offer is escrowed from the researcher's wallet
+      await requireResearcherFunds(walletAddress, offeredPrice);
+
+      const steps = [
+        txStep("Request access", contracts.DataMarketplace, "requestAccess", [
           requestId,
           researcherId,
           listingId,
           purpose || "Research study",
-          offeredPrice
-        )
-      ).wait();
+          offeredPrice,
+        ]),
+      ];
+      await respondWithOperation(req, res, "Request access", steps, () => ({
+        request: formatAccessRequest(requestId),
+        quote,
+      }));
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      const patientId = listing.patientId;
-      const oneYear = 365 * 24 * 60 * 60;
-      const consentValid = await contracts.ConsentManager.isConsentValid(
-        patientId,
-        researcherId,
-        listing.dataCategory
+  app.post("/api/researcher/request/cancel", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, requestId } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (!requestId) {
+        return res.status(400).json({ error: "requestId is required" });
+      }
+
+      await requireRequestResearcher(walletAddress, requestId);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Cancel request",
+        [txStep("Cancel request", contracts.DataMarketplace, "cancelAccess", [requestId])],
+        () => ({ request: formatAccessRequest(requestId) })
       );
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      if (!consentValid) {
-        await (
-          await contracts.ConsentManager.grantConsent(
-            patientId,
-            researcherId,
-            listing.dataCategory,
-            oneYear,
-            purpose || "Marketplace data access",
-            true,
-            false,
-            true,
-            10,
-            offeredPrice
-          )
-        ).wait();
+  app.post("/api/researcher/request/counter", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, requestId, price } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (!requestId || price === undefined) {
+        return res.status(400).json({ error: "requestId and price are required" });
+      }
+
+      const request = await requireRequestResearcher(walletAddress, requestId);
+      const newPrice = ethers.parseEther(String(price));
+      const minimum = await contracts.DataMarketplace.minimumOffer(requestId);
+      if (newPrice < minimum) {
+        return res.status(422).json({
+          error: `Offer is below the minimum of ${ethers.formatEther(minimum)} HEALTH for this request`,
+          code: "PRICE_BELOW_MINIMUM",
+        });
+      }
+      // If the patient accepts a higher price, the escrow is topped up from the researcher's wallet
+      const topUp = newPrice - BigInt(request.escrowAmount);
+      if (topUp > 0n) {
+        await requireResearcherFunds(walletAddress, topUp);
+      }
+
+      await respondWithOperation(
+        req,
+        res,
+        "Revise offer",
+        [txStep("Revise offer", contracts.DataMarketplace, "reviseOffer", [requestId, newPrice])],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/researcher/request/accept", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { walletAddress, requestId } = req.body;
+      requireAddress(walletAddress, "walletAddress");
+      requireSessionWallet(req, walletAddress);
+      if (!requestId) {
+        return res.status(400).json({ error: "requestId is required" });
+      }
+
+      const request = await requireRequestResearcher(walletAddress, requestId);
+      if (request.counterBy !== "patient") {
+        return res.status(409).json({
+          error: "There is no counter-offer to accept",
+          code: "NO_COUNTER_OFFER",
+        });
+      }
+      const topUp = BigInt(request.counterOffer) - BigInt(request.escrowAmount);
+      if (topUp > 0n) {
+        await requireResearcherFunds(walletAddress, topUp);
+      }
+
+      await respondWithOperation(
+        req,
+        res,
+        "Accept counter-offer",
+        [txStep("Accept counter-offer", contracts.DataMarketplace, "acceptCounterOffer", [requestId])],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/marketplace/counter", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { requestId, price } = req.body;
+      if (!requestId || price === undefined) {
+        return res.status(400).json({ error: "requestId and price are required" });
+      }
+
+      await requireListingOwner(req, requestId);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Counter offer",
+        [
+          txStep("Counter offer", contracts.DataMarketplace, "counterOffer", [
+            requestId,
+            ethers.parseEther(String(price)),
+          ]),
+        ],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
+
+  app.post("/api/marketplace/accept-counter", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { requestId } = req.body;
+      if (!requestId) {
+        return res.status(400).json({ error: "requestId is required" });
+      }
+
+      const request = await requireListingOwner(req, requestId);
+      if (request.counterBy !== "researcher") {
+        return res.status(409).json({
+          error: "The researcher has no open counter-offer to accept",
+          code: "NO_COUNTER_OFFER",
+        });
+      }
+      await requirePermittedResearcher(request);
+      const topUp = BigInt(request.counterOffer) - BigInt(request.escrowAmount);
+      if (topUp > 0n) {
+        const researcher = indexer.getResearcher(request.researcherId);
+        await requireResearcherFunds(researcher.walletAddress, topUp);
       }
 
-      const request = await formatAccessRequest(requestId);
-      res.json({ request });
+      await respondWithOperation(
+        req,
+        res,
+        "Accept counter-offer",
+        [txStep("Accept counter-offer", contracts.DataMarketplace, "acceptCounterOffer", [requestId])],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/marketplace/approve", async (req, res, next) => {
+  app.post("/api/marketplace/approve", requirePermittedSession, async (req, res, next) => {
     try {
       const { requestId, decryptionKeyUri } = req.body;
       if (!requestId) {
         return res.status(400).json({ error: "requestId is required" });
       }
 
-      const keyUri = decryptionKeyUri || `ipfs://sybron-key-${requestId.slice(2, 10)}`;
-      await (await contracts.DataMarketplace.approveAccess(requestId, keyUri)).wait();
+      const request = await requireListingOwner(req, requestId);
+      await requirePermittedResearcher(request);
+      // Approving counts against the researcher's concurrent access limit
+      await requireConcurrentSlot(request.researcherId);
 
-      const request = await formatAccessRequest(requestId);
-      res.json({ request });
+      const keyUri = decryptionKeyUri || `ipfs://sybron-key-${requestId.slice(2, 10)}`;
+      await respondWithOperation(
+        req,
+        res,
+        "Approve access",
+        [txStep("Approve access", contracts.DataMarketplace, "approveAccess", [requestId, keyUri])],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/marketplace/reject", async (req, res, next) => {
+  app.post("/api/marketplace/reject", requirePermittedSession, async (req, res, next) => {
     try {
       const { requestId, reason } = req.body;
       if (!requestId) {
         return res.status(400).json({ error: "requestId is required" });
       }
 
-      await (
-        await contracts.DataMarketplace.rejectAccess(requestId, reason || "Request rejected")
-      ).wait();
-
-      const request = await formatAccessRequest(requestId);
-      res.json({ request });
+      await requireListingOwner(req, requestId);
+
+      await respondWithOperation(
+        req,
+        res,
+        "Reject access",
+        [
+          txStep("Reject access", contracts.DataMarketplace, "rejectAccess", [
+            requestId,
+            reason || "Request rejected",
+          ]),
+        ],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
     } catch (error) {
       next(error);
     }
   });
 
-  app.post("/api/marketplace/complete", async (req, res, next) => {
+  app.post("/api/marketplace/expire", requirePermittedSession, async (req, res, next) => {
     try {
       const { requestId } = req.body;
       if (!requestId) {
         return res.status(400).json({ error: "requestId is required" });
       }
 
-      const request = await contracts.DataMarketplace.accessRequests(requestId);
-      const price = request.offeredPrice;
-      const marketplaceAddress = deployment.contracts.DataMarketplace;
+      await indexer.sync();
+      const request = formatAccessRequest(requestId);
+      if (!request || !request.listing) {
+        return res.status(404).json({ error: "Access request not found" });
+      }
+      const researcher = indexer.getResearcher(request.researcherId);
+      const patient = indexer.getPatient(request.listing.patientId);
+      const wallet = req.wallet.toLowerCase();
+      const isResearcher = Boolean(researcher) && researcher.walletAddress.toLowerCase() === wallet;
+      const isPatient = Boolean(patient) && patient.walletAddress.toLowerCase() === wallet;
+      if (!isResearcher && !isPatient) {
+        return res
+          .status(403)
+          .json({ error: "Only the researcher or the listing owner can expire this request" });
+      }
+      if (request.status > 1) {
+        return res.status(409).json({
+          error: "Request has already been settled",
+          code: "REQUEST_SETTLED",
+        });
+      }
+      // An approved request already released its key, so expiring it pays the patient
+      if (request.status === 1 && !isPatient) {
+        return res.status(403).json({
+          error: "Only the listing owner can expire an approved request",
+          code: "REQUEST_APPROVED",
+        });
+      }
+
+      await respondWithOperation(
+        req,
+        res,
+        "Expire request",
+        [txStep("Expire request", contracts.DataMarketplace, "expireAccess", [requestId])],
+        () => ({ request: formatAccessRequest(requestId) })
+      );
+    } catch (error) {
+      next(error);
+    }
+  });
 
-      const balance = await contracts.HealthToken.balanceOf(operator.address);
-      if (balance < price) {
-        await (
-          await contracts.HealthToken.mint(operator.address, price - balance)
-        ).wait();
+  app.post("/api/marketplace/complete", requirePermittedSession, async (req, res, next) => {
+    try {
+      const { requestId } = req.body;
+      if (!requestId) {
+        return res.status(400).json({ error: "requestId is required" });
       }
 
-      await (
-        await contracts.HealthToken.approve(marketplaceAddress, price)
-      ).wait();
-      await (await contracts.DataMarketplace.completeAccess(requestId)).wait();
+      const request = await requireListingOwner(req, requestId);
+      await requirePermittedResearcher(request);
+
+      // Completion pays out the escrow and pulls any consent price above it
+      const { amount } = await paymentDue(request);
+      const escrowed = BigInt(request.escrowAmount);
+      if (request.status === 1 && amount > escrowed) {
+        const researcher = indexer.getResearcher(request.researcherId);
+        await requireResearcherFunds(researcher.walletAddress, amount - escrowed);
+      }
 
-      const completed = await formatAccessRequest(requestId);
-      res.json({ request: completed });
+      const steps = [
+        txStep("Complete access", contracts.DataMarketplace, "completeAccess", [requestId]),
+      ];
+      await respondWithOperation(req, res, "Complete access", steps, () => ({
+        request: formatAccessRequest(requestId),
+      }));
     } catch (error) {
       next(error);
     }
   });
 
   app.use((error, _req, res, _next) => {
-    console.error(error);
+    const contractError = decodeContractError(error);
+    // Client errors are answered as is; only unexpected failures are logged
+    if ((contractError ? contractError.status : error.status || 500) >= 500) {
+      console.error(error);
+    }
+
+    if (contractError) {
+      return res.status(contractError.status).json({
+        error: contractError.message,
+        code: contractError.code,
+        reason: contractError.reason,
+        ...(error.operation && { operation: error.operation }),
+      });
+    }
+
     res.status(error.status || 500).json({
       error: error.message || "Internal server error",
+      // Only codes the API sets itself; ethers and Node errors carry their own
+      ...(error.status && error.code && { code: error.code }),
+      ...(error.operation && { operation: error.operation }),
     });
   });
 
@@ -539,6 +2780,8 @@ function createApp() {
 if (require.main === module) {
   try {
     initBlockchain();
+    indexer.start();
+    sweeper.start();
     const app = createApp();
     app.listen(PORT, () => {
       console.log(`Sybron API running at http://localhost:${PORT}`);
@@ -0,0 +1,628 @@
+const { ethers } = require("ethers");
+const { openStore } = require("./store");
+
+const BATCH_BLOCKS = Number(process.env.INDEXER_BATCH_BLOCKS || 2000);
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_MS || 4000);
+// Bump when the index shape changes so existing index files are rebuilt
+const INDEX_VERSION = 11;
+
+const INDEXED_CONTRACTS = [
+  "PatientRegistry",
+  "ResearcherRegistry",
+  "ConsentManager",
+  "DataMarketplace",
+  // Followed only so listeners see allowlist changes; nothing is indexed
+  "AccountRules",
+  "NodeRules",
+];
+
+function emptyIndex() {
+  return {
+    version: null,
+    marketplace: null,
+    lastBlock: -1,
+    patients: {},
+    researchers: {},
+    patientWallets: {},
+    researcherWallets: {},
+    listings: {},
+    requests: {},
+    consents: {},
+    templates: {},
+    // NodeRules keeps removed and deactivated nodes alike as inactive
+    nodes: {},
+    // Completed payments in block order, for revenue reports
+    payments: [],
+    stats: { totalTransactions: 0, totalVolume: "0", totalEscrowed: "0" },
+  };
+}
+
+// Keyed collections of the index that event handlers read and change
+const RECORD_COLLECTIONS = [
+  "patients",
+  "researchers",
+  "patientWallets",
+  "researcherWallets",
+  "listings",
+  "requests",
+  "consents",
+  "templates",
+  "nodes",
+];
+
+/**
+ * Copy-on-write view of the index for one batch. Handlers use it like the
+ * index itself, but a record is copied into the draft the first time it is
+ * read, so the committed index is left alone while the batch is applied and
+ * only the records the batch touches are ever copied.
+ */
+function createDraft(committed) {
+  const changes = {};
+  const draft = { stats: { ...committed.stats }, payments: [] };
+  for (const name of RECORD_COLLECTIONS) {
+    changes[name] = {};
+    draft[name] = new Proxy(changes[name], {
+      get(records, key) {
+        if (!(key in records) && Object.hasOwn(committed[name], key)) {
+          records[key] = structuredClone(committed[name][key]);
+        }
+        return records[key];
+      },
+    });
+  }
+  return { draft, changes };
+}
+
+/**
+ * Write a draft's records into the committed index. Runs synchronously, so
+ * readers see either none or all of a batch.
+ */
+function commitDraft(committed, { draft, changes }, lastBlock) {
+  for (const name of RECORD_COLLECTIONS) {
+    Object.assign(committed[name], changes[name]);
+  }
+  committed.payments.push(...draft.payments);
+  committed.stats = draft.stats;
+  committed.lastBlock = lastBlock;
+}
+
+function consentKey(patientId, researcherId, dataCategory) {
+  return `${patientId}:${researcherId}:${dataCategory}`;
+}
+
+function addAmount(total, amount) {
+  return (BigInt(total) + BigInt(amount)).toString();
+}
+
+/**
+ * Follows registry, consent and marketplace events into a local JSON index so
+ * read routes never have to scan the chain. Each batch of blocks is applied to
+ * a draft and committed as a whole with its last block, so a retry after a
+ * failed batch starts it over without applying events twice. The index file
+ * is written once per sync that indexed events, and a restart resumes from
+ * the last block it holds.
+ */
+function createIndexer({ provider, contracts, deployment, network }) {
+  const store = openStore(`index-${network}`, emptyIndex());
+  const byAddress = new Map(
+    INDEXED_CONTRACTS.map((name) => [deployment.contracts[name].toLowerCase(), name])
+  );
+  const listeners = new Set();
+
+  let syncQueue = Promise.resolve();
+  let timer = null;
+  // Events replayed while catching up after a restart are not "live"
+  let catchingUp = true;
+  // What the handlers change while a batch is applied (see createDraft)
+  let draft = null;
+
+  function index() {
+    return store.data;
+  }
+
+  async function blockTimestamp(log) {
+    const block = await provider.getBlock(log.blockNumber);
+    return block.timestamp;
+  }
+
+  /**
+   * Append a negotiation round: who moved, how, and the price on the table.
+   */
+  async function addRound(request, party, action, price, log) {
+    request.negotiation.push({
+      party,
+      action,
+      price: price.toString(),
+      at: await blockTimestamp(log),
+      transactionHash: log.transactionHash,
+    });
+  }
+
+  /**
+   * Append a registry event to a patient's or researcher's status history.
+   */
+  async function addHistory(subject, event, details, log) {
+    subject.statusHistory.push({
+      event,
+      status: subject.status,
+      ...details,
+      at: await blockTimestamp(log),
+      transactionHash: log.transactionHash,
+    });
+  }
+
+  function releaseEscrow(request, escrowStatus) {
+    const stats = draft.stats;
+    stats.totalEscrowed = addAmount(stats.totalEscrowed, -BigInt(request.escrowAmount));
+    request.escrowStatus = escrowStatus;
+  }
+
+  /**
+   * Record a payout to the patient and the platform for revenue reports.
+   */
+  async function recordPayment(request, patientPayout, platformFee, log) {
+    const listing = draft.listings[request.listingId];
+    draft.payments.push({
+      requestId: request.requestId,
+      listingId: request.listingId,
+      researcherId: request.researcherId,
+      patientId: listing.patientId,
+      dataCategory: listing.dataCategory,
+      amount: (patientPayout + platformFee).toString(),
+      platformFee: platformFee.toString(),
+      patientPayout: patientPayout.toString(),
+      completedAt: await blockTimestamp(log),
+      transactionHash: log.transactionHash,
+    });
+    listing.totalEarnings = addAmount(listing.totalEarnings, patientPayout);
+
+    const stats = draft.stats;
+    stats.totalVolume = addAmount(stats.totalVolume, patientPayout + platformFee);
+  }
+
+  const handlers = {
+    PatientRegistry: {
+      async PatientRegistered({ patientId, wallet }, log) {
+        draft.patients[patientId] = {
+          patientId,
+          walletAddress: wallet,
+          status: 1,
+          totalDataSets: 0,
+          totalEarnings: "0",
+          optedOut: false,
+          minPrice: "0",
+          statusHistory: [],
+        };
+        draft.patientWallets[wallet.toLowerCase()] = patientId;
+        await addHistory(draft.patients[patientId], "registered", {}, log);
+      },
+      async PatientVerified({ patientId }, log) {
+        const patient = draft.patients[patientId];
+        patient.status = 2;
+        await addHistory(patient, "verified", {}, log);
+      },
+      async PatientSuspended({ patientId, reason }, log) {
+        const patient = draft.patients[patientId];
+        patient.status = 3;
+        await addHistory(patient, "suspended", { reason }, log);
+      },
+      async PatientReactivated({ patientId }, log) {
+        const patient = draft.patients[patientId];
+        patient.status = 2;
+        await addHistory(patient, "reactivated", {}, log);
+      },
+      async EarningsRecorded({ patientId, totalEarnings }) {
+        draft.patients[patientId].totalEarnings = totalEarnings.toString();
+      },
+    },
+
+    ResearcherRegistry: {
+      async ResearcherRegistered({ researcherId, wallet, researcherType, institutionName }, log) {
+        draft.researchers[researcherId] = {
+          researcherId,
+          walletAddress: wallet,
+          researcherType: Number(researcherType),
+          institutionName,
+          status: 1,
+          reputationScore: 5000,
+          totalDataAccesses: 0,
+          totalSpent: "0",
+          approvedCategories: [],
+          ethicsViolations: 0,
+          completedStudies: 0,
+          successfulStudies: 0,
+          statusHistory: [],
+        };
+        draft.researcherWallets[wallet.toLowerCase()] = researcherId;
+        await addHistory(draft.researchers[researcherId], "registered", {}, log);
+      },
+      async ResearcherVerified({ researcherId }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.status = 2;
+        await addHistory(researcher, "verified", {}, log);
+      },
+      async ResearcherSuspended({ researcherId, reason }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.status = 3;
+        await addHistory(researcher, "suspended", { reason }, log);
+      },
+      async ResearcherRevoked({ researcherId, reason }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.status = 4;
+        await addHistory(researcher, "revoked", { reason }, log);
+      },
+      async EthicsViolationRecorded({ researcherId, details }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.ethicsViolations += 1;
+        await addHistory(researcher, "ethics_violation", { reason: details }, log);
+      },
+      async ReputationUpdated({ researcherId, oldScore, newScore }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.reputationScore = Number(newScore);
+        await addHistory(
+          researcher,
+          "reputation_updated",
+          { oldScore: Number(oldScore), newScore: Number(newScore) },
+          log
+        );
+      },
+      async StudyCompleted({ researcherId, successful }, log) {
+        const researcher = draft.researchers[researcherId];
+        researcher.completedStudies += 1;
+        if (successful) researcher.successfulStudies += 1;
+        await addHistory(researcher, "study_completed", { successful }, log);
+      },
+      async CategoryApproved({ researcherId, category }) {
+        const researcher = draft.researchers[researcherId];
+        if (!researcher.approvedCategories.includes(category)) {
+          researcher.approvedCategories.push(category);
+        }
+      },
+      async CategoryRevoked({ researcherId, category }) {
+        const researcher = draft.researchers[researcherId];
+        researcher.approvedCategories = researcher.approvedCategories.filter(
+          (approved) => approved !== category
+        );
+      },
+    },
+
+    ConsentManager: {
+      async ConsentGranted({ patientId, researcherId, dataCategory, expiresAt, purpose }) {
+        draft.consents[consentKey(patientId, researcherId, dataCategory)] = {
+          patientId,
+          researcherId,
+          dataCategory,
+          status: 1,
+          expiresAt: Number(expiresAt),
+          purpose,
+          accessCount: 0,
+        };
+      },
+      async ConsentRevoked({ patientId, researcherId, dataCategory, revokedAt }) {
+        const consent = draft.consents[consentKey(patientId, researcherId, dataCategory)];
+        consent.status = 2;
+        consent.revokedAt = Number(revokedAt);
+      },
+      async ConsentExpired({ patientId, researcherId, dataCategory }) {
+        draft.consents[consentKey(patientId, researcherId, dataCategory)].status = 3;
+      },
+      async ConsentAccessed({ patientId, researcherId, dataCategory, accessCount }) {
+        draft.consents[consentKey(patientId, researcherId, dataCategory)].accessCount =
+          Number(accessCount);
+      },
+      // The contract accepts any patientId here, registered or not
+      async GlobalOptOutSet({ patientId, optedOut }) {
+        const patient = draft.patients[patientId];
+        if (patient) patient.optedOut = optedOut;
+      },
+      async MinPriceSet({ patientId, minPrice }) {
+        const patient = draft.patients[patientId];
+        if (patient) patient.minPrice = minPrice.toString();
+      },
+      async TemplateCreated({ templateId }) {
+        // Templates cannot be edited on-chain, so the struct is read once
+        const template = await contracts.ConsentManager.consentTemplates(templateId);
+        draft.templates[templateId] = {
+          templateId: Number(templateId),
+          name: template.name,
+          defaultDuration: Number(template.defaultDuration),
+          allowDerivativeWorks: template.allowDerivativeWorks,
+          allowCommercialUse: template.allowCommercialUse,
+          requireNotification: template.requireNotification,
+          maxAccessCount: Number(template.maxAccessCount),
+        };
+      },
+    },
+
+    DataMarketplace: {
+      async ListingCreated({ listingId, patientId, dataCategory, basePrice }) {
+        // Descriptive fields are not in the event; they never change, so read them once
+        const listing = await contracts.DataMarketplace.listings(listingId);
+        draft.listings[listingId] = {
+          listingId,
+          patientId,
+          dataCategory,
+          encryptedDataURI: listing.encryptedDataURI,
+          dataDescription: listing.dataDescription,
+          basePrice: basePrice.toString(),
+          createdAt: Number(listing.createdAt),
+          isActive: true,
+          retired: false,
+          totalAccesses: 0,
+          totalEarnings: "0",
+        };
+        draft.patients[patientId].totalDataSets += 1;
+      },
+      async ListingUpdated({ listingId, newPrice, isActive }) {
+        const listing = draft.listings[listingId];
+        listing.basePrice = newPrice.toString();
+        listing.isActive = isActive;
+      },
+      async ListingDeactivated({ listingId }) {
+        // Paused listings are inactive too; a retired one is never reactivated by the API
+        const listing = draft.listings[listingId];
+        listing.isActive = false;
+        listing.retired = true;
+      },
+      async AccessRequested({ requestId, researcherId, listingId, offeredPrice }, log) {
+        const request = await contracts.DataMarketplace.accessRequests(requestId);
+        draft.requests[requestId] = {
+          requestId,
+          researcherId,
+          listingId,
+          purpose: request.purpose,
+          offeredPrice: offeredPrice.toString(),
+          requestedAt: Number(request.requestedAt),
+          status: 0,
+          decryptionKeyURI: "",
+          escrowAmount: "0",
+          escrowStatus: null,
+          counterOffer: null,
+          counterBy: null,
+          negotiated: false,
+          negotiation: [],
+        };
+        await addRound(draft.requests[requestId], "researcher", "offer", offeredPrice, log);
+      },
+      async CounterOffered({ requestId, price }, log) {
+        const request = draft.requests[requestId];
+        request.counterOffer = price.toString();
+        request.counterBy = "patient";
+        await addRound(request, "patient", "counter", price, log);
+      },
+      async CounterOfferAccepted({ requestId, price }, log) {
+        const request = draft.requests[requestId];
+        // The party that did not make the counter-offer accepted it
+        const party = request.counterBy === "researcher" ? "patient" : "researcher";
+        request.counterOffer = null;
+        request.counterBy = null;
+        request.offeredPrice = price.toString();
+        request.negotiated = true;
+        await addRound(request, party, "accept", price, log);
+      },
+      async OfferRevised({ requestId, price }, log) {
+        const request = draft.requests[requestId];
+        request.counterOffer = price.toString();
+        request.counterBy = "researcher";
+        await addRound(request, "researcher", "revise", price, log);
+      },
+      async EscrowDeposited({ requestId, amount }) {
+        const request = draft.requests[requestId];
+        request.escrowAmount = amount.toString();
+        request.escrowStatus = "held";
+
+        const stats = draft.stats;
+        stats.totalEscrowed = addAmount(stats.totalEscrowed, amount);
+      },
+      async EscrowAdjusted({ requestId, oldAmount, newAmount }) {
+        draft.requests[requestId].escrowAmount = newAmount.toString();
+
+        const stats = draft.stats;
+        stats.totalEscrowed = addAmount(stats.totalEscrowed, newAmount - oldAmount);
+      },
+      async EscrowReleased({ requestId }) {
+        releaseEscrow(draft.requests[requestId], "released");
+      },
+      async EscrowRefunded({ requestId }) {
+        releaseEscrow(draft.requests[requestId], "refunded");
+      },
+      async AccessApproved({ requestId, decryptionKeyURI }) {
+        const request = draft.requests[requestId];
+        request.status = 1;
+        request.decryptionKeyURI = decryptionKeyURI;
+        request.counterOffer = null;
+        request.counterBy = null;
+      },
+      async AccessRejected({ requestId }) {
+        draft.requests[requestId].status = 2;
+      },
+      async AccessCancelled({ requestId }) {
+        draft.requests[requestId].status = 4;
+      },
+      async AccessExpired({ requestId }) {
+        draft.requests[requestId].status = 5;
+      },
+      async ExpiredAccessSettled({ requestId, patientPayout, platformFee }, log) {
+        await recordPayment(draft.requests[requestId], patientPayout, platformFee, log);
+      },
+      async AccessCompleted({ requestId, patientPayout, platformFee }, log) {
+        const request = draft.requests[requestId];
+        request.status = 3;
+
+        await recordPayment(request, patientPayout, platformFee, log);
+        draft.listings[request.listingId].totalAccesses += 1;
+        draft.stats.totalTransactions += 1;
+      },
+      async PaymentProcessed({ researcherId, amount }) {
+        const researcher = draft.researchers[researcherId];
+        researcher.totalDataAccesses += 1;
+        researcher.totalSpent = addAmount(researcher.totalSpent, amount);
+      },
+    },
+
+    AccountRules: {},
+
+    NodeRules: {
+      async NodeAdded({ nodeId }) {
+        draft.nodes[nodeId] = { nodeId, status: "active" };
+      },
+      async NodeDeactivated({ nodeId }) {
+        draft.nodes[nodeId].status = "deactivated";
+      },
+      async NodeReactivated({ nodeId }) {
+        draft.nodes[nodeId].status = "active";
+      },
+      async NodeRemoved({ nodeId }) {
+        draft.nodes[nodeId].status = "removed";
+      },
+    },
+  };
+
+  /**
+   * Apply one log to the index and return the event for listeners.
+   */
+  async function applyLog(log) {
+    const name = byAddress.get(log.address.toLowerCase());
+    const parsed = contracts[name].interface.parseLog(log);
+    if (!parsed) return null;
+
+    const handler = handlers[name][parsed.name];
+    if (handler) {
+      const args = parsed.args.toObject();
+      await handler(args, log);
+    }
+
+    return { contract: name, event: parsed.name, args: parsed.args, log, live: !catchingUp };
+  }
+
+  function emit(event) {
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error("Indexer listener failed:", error.message);
+      }
+    }
+  }
+
+  function resetIfStale(latestBlock) {
+    const marketplace = deployment.contracts.DataMarketplace.toLowerCase();
+    // A redeployment, a restarted dev chain or a new index shape invalidates everything so far
+    if (
+      index().version !== INDEX_VERSION ||
+      index().marketplace !== marketplace ||
+      index().lastBlock > latestBlock
+    ) {
+      store.reset();
+      index().version = INDEX_VERSION;
+      index().marketplace = marketplace;
+    }
+  }
+
+  async function runSync() {
+    // Bypass the provider's short-lived request cache so a just-mined block is seen
+    const latestBlock = Number(await provider.send("eth_blockNumber", []));
+    resetIfStale(latestBlock);
+
+    let unsaved = false;
+    try {
+      while (index().lastBlock < latestBlock) {
+        const fromBlock = index().lastBlock + 1;
+        const toBlock = Math.min(fromBlock + BATCH_BLOCKS - 1, latestBlock);
+        const logs = await provider.getLogs({
+          address: [...byAddress.keys()],
+          fromBlock,
+          toBlock,
+        });
+
+        // A failure part way through drops the draft, and the retry starts
+        // the batch over from the committed index
+        const batch = createDraft(index());
+        const events = [];
+        draft = batch.draft;
+        try {
+          for (const log of logs) {
+            const event = await applyLog(log);
+            if (event) events.push(event);
+          }
+        } finally {
+          draft = null;
+        }
+        commitDraft(index(), batch, toBlock);
+        if (logs.length) unsaved = true;
+
+        // Listeners only hear about events once their batch is committed
+        events.forEach(emit);
+      }
+    } finally {
+      // Blocks without events are only checkpointed along with later events;
+      // after a restart they are scanned again, which changes nothing
+      if (unsaved) store.save();
+    }
+
+    catchingUp = false;
+  }
+
+  /**
+   * Catch up to the latest block. Calls are serialized, so awaiting sync()
+   * after a mined transaction guarantees its events are indexed.
+   */
+  function sync() {
+    syncQueue = syncQueue.catch(() => {}).then(runSync);
+    return syncQueue;
+  }
+
+  function start() {
+    const tick = () =>
+      sync().catch((error) => console.error("Indexer sync failed:", error.message));
+
+    tick();
+    timer = setInterval(tick, POLL_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function onEvent(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  function getPatientIdForWallet(wallet) {
+    return index().patientWallets[wallet.toLowerCase()] || ethers.ZeroHash;
+  }
+
+  function getResearcherIdForWallet(wallet) {
+    return index().researcherWallets[wallet.toLowerCase()] || ethers.ZeroHash;
+  }
+
+  return {
+    start,
+    stop,
+    sync,
+    onEvent,
+    getLastBlock: () => index().lastBlock,
+    getStats: () => index().stats,
+    getPatient: (patientId) => index().patients[patientId] || null,
+    getResearcher: (researcherId) => index().researchers[researcherId] || null,
+    getListing: (listingId) => index().listings[listingId] || null,
+    getRequest: (requestId) => index().requests[requestId] || null,
+    getConsent: (patientId, researcherId, dataCategory) =>
+      index().consents[consentKey(patientId, researcherId, dataCategory)] || null,
+    getPatientIdForWallet,
+    getResearcherIdForWallet,
+    getPatients: () => Object.values(index().patients),
+    getResearchers: () => Object.values(index().researchers),
+    getListings: () => Object.values(index().listings),
+    getRequests: () => Object.values(index().requests),
+    getConsents: () => Object.values(index().consents),
+    getPayments: () => index().payments,
+    getTemplate: (templateId) => index().templates[templateId] || null,
+    getTemplates: () => Object.values(index().templates),
+    getNode: (nodeId) => index().nodes[nodeId] || null,
+  };
+}
+
+module.exports = { createIndexer };
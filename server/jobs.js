@@ -0,0 +1,94 @@
+const { decodeContractError } = require("./errors");
+
+const MAX_TRACKED_JOBS = 500;
+
+/**
+ * Tracks operations that run after the HTTP response was sent. A job shares
+ * its id with the underlying transaction operation and reports each submitted
+ * transaction, then the route's result once the chain changes are indexed.
+ */
+function createJobTracker(transactions) {
+  const jobs = new Map();
+
+  function describe(job) {
+    const operation = transactions.getOperation(job.id);
+    const steps = operation ? operation.steps : [];
+    return {
+      jobId: job.id,
+      label: job.label,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt || (operation && operation.updatedAt),
+      failedStep: operation ? operation.failedStep : null,
+      transactions: steps.map((step) => ({
+        label: step.label,
+        status: step.status,
+        hash: step.hash || null,
+        blockNumber: step.blockNumber ?? null,
+        revertReason: step.revertReason || null,
+        errorCode: step.errorCode || null,
+        error: step.error || null,
+      })),
+      result: job.result,
+      error: job.error,
+      code: job.code,
+    };
+  }
+
+  /**
+   * Queue an operation and return the job right away. `finish` runs with the
+   * operation after every step is mined, and its value becomes the job result.
+   */
+  function start({ label, steps, wallet, finish }) {
+    const { id, done } = transactions.start(label, steps);
+    const job = {
+      id,
+      label,
+      wallet: wallet ? wallet.toLowerCase() : null,
+      status: "running",
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      result: null,
+      error: null,
+      code: null,
+    };
+    jobs.set(id, job);
+    if (jobs.size > MAX_TRACKED_JOBS) {
+      jobs.delete(jobs.keys().next().value);
+    }
+
+    done
+      .then((operation) => finish(operation))
+      .then(
+        (result) => {
+          job.status = "succeeded";
+          job.result = result;
+        },
+        (error) => {
+          const decoded = decodeContractError(error);
+          job.status = "failed";
+          job.error = decoded ? decoded.message : error.message || "Job failed";
+          job.code = decoded ? decoded.code : null;
+        }
+      )
+      .finally(() => {
+        job.updatedAt = new Date().toISOString();
+      });
+
+    return describe(job);
+  }
+
+  /**
+   * Look up a job. Jobs started by a signed-in wallet are only visible to it.
+   */
+  function get(id, wallet) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.wallet && (!wallet || job.wallet !== wallet.toLowerCase())) return null;
+    return describe(job);
+  }
+
+  return { start, get };
+}
+
+module.exports = { createJobTracker };
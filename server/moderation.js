@@ -0,0 +1,55 @@
+const crypto = require("crypto");
+const { openStore } = require("./store");
+
+// Admin actions on registry accounts, keyed by action name
+const MODERATION_ACTIONS = {
+  suspend: "Suspended",
+  reactivate: "Reactivated",
+  ethics_violation: "Ethics violation recorded",
+  reputation: "Reputation adjusted",
+};
+
+/**
+ * Server-side case record for every moderation action: who acted, on which
+ * account, why, and with what parameters. The chain only keeps the outcome.
+ * Persisted under DATA_DIR/moderation-<network>.json.
+ */
+function createModerationLog({ network }) {
+  const store = openStore(`moderation-${network}`, { cases: [] });
+
+  function summarize(entry) {
+    return { ...entry, actionLabel: MODERATION_ACTIONS[entry.action], details: { ...entry.details } };
+  }
+
+  function record({ role, subjectId, walletAddress, action, reason, details, actor }) {
+    const entry = {
+      id: crypto.randomUUID(),
+      role,
+      subjectId,
+      walletAddress,
+      action,
+      reason,
+      details: details || {},
+      actor,
+      createdAt: new Date().toISOString(),
+    };
+    store.data.cases.push(entry);
+    store.save();
+    return summarize(entry);
+  }
+
+  /**
+   * Cases newest first, optionally filtered by role and account.
+   */
+  function list({ role, subjectId } = {}) {
+    return store.data.cases
+      .filter((entry) => !role || entry.role === role)
+      .filter((entry) => !subjectId || entry.subjectId === subjectId)
+      .reverse()
+      .map(summarize);
+  }
+
+  return { record, list };
+}
+
+module.exports = { MODERATION_ACTIONS, createModerationLog };
@@ -0,0 +1,125 @@
+const net = require("net");
+const { ethers } = require("ethers");
+const { openStore } = require("./store");
+
+// NodeRules.NodeType, in enum order
+const NODE_TYPES = [
+  { key: "unknown", label: "Unknown" },
+  { key: "validator", label: "Validator" },
+  { key: "observer", label: "Observer" },
+  { key: "bootnode", label: "Bootnode" },
+];
+
+// Where a node stands, from the last NodeRules event for it
+const NODE_STATUS = {
+  active: "Active",
+  deactivated: "Deactivated",
+  removed: "Removed",
+};
+
+const ENODE_PATTERN =
+  /^enode:\/\/([0-9a-fA-F]{128})(?:@(\[[0-9a-fA-F:.]+\]|[^:/?@\s]+):(\d{1,5}))?(?:\?discport=\d{1,5})?$/;
+const HOSTNAME_PATTERN = /^(?=.{1,253}$)[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+
+function nodeError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Resolve a node type given as its key ("validator") or enum value (1).
+ */
+function parseNodeType(value) {
+  const text = String(value ?? "").trim().toLowerCase();
+  const index = /^\d+$/.test(text)
+    ? Number(text)
+    : NODE_TYPES.findIndex((type) => type.key === text);
+  if (index < 1 || !NODE_TYPES[index]) {
+    throw nodeError(
+      `Invalid node type, expected one of: ${NODE_TYPES.slice(1).map((type) => type.key).join(", ")}`
+    );
+  }
+  return index;
+}
+
+function nodeIdFor(enodeHigh, enodeLow) {
+  return ethers.solidityPackedKeccak256(["bytes32", "bytes32"], [enodeHigh, enodeLow]);
+}
+
+function formatEnodeUrl(publicKey, host, port) {
+  if (!host) return `enode://${publicKey}`;
+  return `enode://${publicKey}@${net.isIPv6(host) ? `[${host}]` : host}:${port}`;
+}
+
+/**
+ * Split an `enode://<128 hex pubkey>@host:port` URL into the bytes32 halves
+ * NodeRules takes. The endpoint may be left out unless `requireEndpoint` is
+ * set, since only the public key identifies a node on chain.
+ */
+function parseEnodeUrl(value, { requireEndpoint = false } = {}) {
+  const match = ENODE_PATTERN.exec(String(value || "").trim());
+  if (!match) {
+    throw nodeError("Invalid enode URL, expected enode://<128 hex character public key>@host:port");
+  }
+
+  const publicKey = match[1].toLowerCase();
+  const host = match[2] ? match[2].replace(/^\[|\]$/g, "") : null;
+  const port = match[3] ? Number(match[3]) : null;
+  if (requireEndpoint && !host) {
+    throw nodeError("The enode URL needs a host and port");
+  }
+  if (host && !net.isIP(host) && !HOSTNAME_PATTERN.test(host)) {
+    throw nodeError(`Invalid enode host "${host}"`);
+  }
+  if (port !== null && (port < 1 || port > 65535)) {
+    throw nodeError("Invalid enode port, expected 1-65535");
+  }
+
+  const enodeHigh = `0x${publicKey.slice(0, 64)}`;
+  const enodeLow = `0x${publicKey.slice(64)}`;
+  return {
+    publicKey,
+    enodeHigh,
+    enodeLow,
+    host,
+    port,
+    nodeId: nodeIdFor(enodeHigh, enodeLow),
+    enodeUrl: formatEnodeUrl(publicKey, host, port),
+  };
+}
+
+/**
+ * NodeRules keeps only the public key of each node, so the host and port from
+ * the enode URL are remembered here to rebuild full URLs in listings.
+ * Persisted under DATA_DIR/nodes-<network>.json.
+ */
+function createNodeDirectory({ network }) {
+  const store = openStore(`nodes-${network}`, { endpoints: {} });
+
+  function remember({ nodeId, host, port }) {
+    if (!host) return;
+    store.data.endpoints[nodeId] = { host, port };
+    store.save();
+  }
+
+  /**
+   * Rebuild the enode URL of a node from its on-chain halves.
+   */
+  function describe(enodeHigh, enodeLow) {
+    const nodeId = nodeIdFor(enodeHigh, enodeLow);
+    const publicKey = `${enodeHigh.slice(2)}${enodeLow.slice(2)}`.toLowerCase();
+    const endpoint = store.data.endpoints[nodeId] || { host: null, port: null };
+    return {
+      nodeId,
+      publicKey,
+      host: endpoint.host,
+      port: endpoint.port,
+      enodeUrl: formatEnodeUrl(publicKey, endpoint.host, endpoint.port),
+    };
+  }
+
+  return { remember, describe };
+}
+
+module.exports = { NODE_TYPES, NODE_STATUS, parseNodeType, parseEnodeUrl, createNodeDirectory };
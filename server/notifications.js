@@ -0,0 +1,200 @@
+const HEARTBEAT_MS = 25 * 1000;
+
+/**
+ * Turns indexed chain events into typed notifications and pushes them to
+ * Server-Sent Events clients. Wallet-scoped notifications only reach the
+ * signed-in wallet they concern; broadcast notifications reach everyone.
+ */
+function createNotifier(indexer) {
+  const clients = new Set();
+
+  function patientWallet(patientId) {
+    const patient = indexer.getPatient(patientId);
+    return patient ? patient.walletAddress : null;
+  }
+
+  function researcherWallet(researcherId) {
+    const researcher = indexer.getResearcher(researcherId);
+    return researcher ? researcher.walletAddress : null;
+  }
+
+  function listingOwnerWallet(listingId) {
+    const listing = indexer.getListing(listingId);
+    return listing ? patientWallet(listing.patientId) : null;
+  }
+
+  function requestParties(requestId) {
+    const request = indexer.getRequest(requestId);
+    if (!request) return { request: null, patient: null, researcher: null };
+    return {
+      request,
+      patient: listingOwnerWallet(request.listingId),
+      researcher: researcherWallet(request.researcherId),
+    };
+  }
+
+  function notify(type, wallets, data) {
+    return { type, wallets: wallets && wallets.filter(Boolean), data };
+  }
+
+  const mappers = {
+    ListingCreated: ({ listingId }) => [
+      notify("listing.created", null, { listingId }),
+      notify("stats.updated", null, {}),
+    ],
+    ListingUpdated: ({ listingId }) => [notify("listing.updated", null, { listingId })],
+    ListingDeactivated: ({ listingId }) => [notify("listing.updated", null, { listingId })],
+    AccessRequested: ({ requestId, listingId }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [
+        notify("request.received", [patient], { requestId, listingId }),
+        notify("request.submitted", [researcher], { requestId, listingId }),
+      ];
+    },
+    CounterOffered: ({ requestId, price }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [
+        notify("request.countered", [patient, researcher], { requestId, price: price.toString() }),
+      ];
+    },
+    CounterOfferAccepted: ({ requestId, price }) => {
+      const { request, patient, researcher } = requestParties(requestId);
+      const lastRound = request ? request.negotiation[request.negotiation.length - 1] : null;
+      return [
+        notify("request.counter_accepted", [patient, researcher], {
+          requestId,
+          price: price.toString(),
+          acceptedBy: lastRound ? lastRound.party : null,
+        }),
+      ];
+    },
+    OfferRevised: ({ requestId, price }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [
+        notify("request.revised", [patient, researcher], { requestId, price: price.toString() }),
+      ];
+    },
+    AccessApproved: ({ requestId }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [notify("request.approved", [patient, researcher], { requestId })];
+    },
+    AccessRejected: ({ requestId, reason }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [notify("request.rejected", [patient, researcher], { requestId, reason })];
+    },
+    AccessCancelled: ({ requestId }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [notify("request.cancelled", [patient, researcher], { requestId })];
+    },
+    AccessExpired: ({ requestId }) => {
+      const { request, patient, researcher } = requestParties(requestId);
+      // "refunded" for a pending request, "released" to the patient for an approved one
+      const escrowStatus = request ? request.escrowStatus : null;
+      return [notify("request.expired", [patient, researcher], { requestId, escrowStatus })];
+    },
+    AccessCompleted: ({ requestId }) => {
+      const { patient, researcher } = requestParties(requestId);
+      return [
+        notify("request.completed", [patient, researcher], { requestId }),
+        notify("stats.updated", null, {}),
+      ];
+    },
+    ConsentGranted: ({ patientId, researcherId, dataCategory }) => [
+      notify("consent.granted", [patientWallet(patientId), researcherWallet(researcherId)], {
+        patientId,
+        researcherId,
+        dataCategory,
+      }),
+    ],
+    ConsentRevoked: ({ patientId, researcherId, dataCategory }) => [
+      notify("consent.revoked", [patientWallet(patientId), researcherWallet(researcherId)], {
+        patientId,
+        researcherId,
+        dataCategory,
+      }),
+    ],
+    PatientRegistered: () => [notify("stats.updated", null, {})],
+    PatientVerified: ({ patientId }) => [
+      notify("account.updated", [patientWallet(patientId)], { patientId }),
+    ],
+    PatientSuspended: ({ patientId }) => [
+      notify("account.updated", [patientWallet(patientId)], { patientId }),
+    ],
+    PatientReactivated: ({ patientId }) => [
+      notify("account.updated", [patientWallet(patientId)], { patientId }),
+    ],
+    ResearcherRegistered: () => [notify("stats.updated", null, {})],
+    ResearcherVerified: ({ researcherId }) => [
+      notify("account.updated", [researcherWallet(researcherId)], { researcherId }),
+    ],
+    ResearcherSuspended: ({ researcherId }) => [
+      notify("account.updated", [researcherWallet(researcherId)], { researcherId }),
+    ],
+    ReputationUpdated: ({ researcherId, newScore }) => [
+      notify("account.updated", [researcherWallet(researcherId)], {
+        researcherId,
+        reputationScore: Number(newScore),
+      }),
+    ],
+    StudyCompleted: ({ researcherId, successful }) => [
+      notify("account.updated", [researcherWallet(researcherId)], { researcherId, successful }),
+    ],
+    CategoryApproved: ({ researcherId, category }) => [
+      notify("account.updated", [researcherWallet(researcherId)], { researcherId, category }),
+    ],
+  };
+
+  function send(client, notification, id) {
+    client.res.write(
+      `id: ${id}\nevent: ${notification.type}\ndata: ${JSON.stringify(notification.data)}\n\n`
+    );
+  }
+
+  function deliver(notification, id) {
+    const recipients = notification.wallets
+      ? new Set(notification.wallets.map((wallet) => wallet.toLowerCase()))
+      : null;
+
+    for (const client of clients) {
+      if (!recipients || (client.wallet && recipients.has(client.wallet))) {
+        send(client, notification, id);
+      }
+    }
+  }
+
+  indexer.onEvent(({ event, args, log, live }) => {
+    const mapper = mappers[event];
+    if (!live || !mapper || clients.size === 0) return;
+
+    const id = `${log.blockNumber}-${log.index}`;
+    for (const notification of mapper(args.toObject())) {
+      deliver(notification, id);
+    }
+  });
+
+  /**
+   * Attach an Express response as an event-stream client.
+   */
+  function subscribe(req, res, wallet) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    res.flushHeaders();
+
+    const client = { res, wallet: wallet ? wallet.toLowerCase() : null };
+    clients.add(client);
+    send(client, notify("ready", null, { walletAddress: wallet || null }), "0");
+
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      clients.delete(client);
+    });
+  }
+
+  return { subscribe };
+}
+
+module.exports = { createNotifier };
@@ -0,0 +1,98 @@
+const { ethers } = require("ethers");
+const { categoryKeyFromBytes, categoryLabel } = require("./categories");
+
+const REVENUE_PERIODS = ["day", "week", "month"];
+
+function revenueError(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+// UTC bucket a payment falls into; weeks start on Monday
+function periodKey(timestamp, period) {
+  const date = new Date(timestamp * 1000);
+  if (period === "month") return date.toISOString().slice(0, 7);
+  if (period === "week") {
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+function summarize(payments) {
+  const totals = { volume: 0n, platformFees: 0n, patientPayouts: 0n };
+  for (const payment of payments) {
+    totals.volume += BigInt(payment.amount);
+    totals.platformFees += BigInt(payment.platformFee);
+    totals.patientPayouts += BigInt(payment.patientPayout);
+  }
+
+  const summary = { payments: payments.length };
+  for (const [key, amount] of Object.entries(totals)) {
+    summary[key] = amount.toString();
+    summary[`${key}Formatted`] = ethers.formatEther(amount);
+  }
+  return summary;
+}
+
+function groupBy(payments, keyOf) {
+  const groups = new Map();
+  for (const payment of payments) {
+    const key = keyOf(payment);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(payment);
+  }
+  return groups;
+}
+
+function parseBound(value, name) {
+  if (value === undefined || value === "") return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw revenueError(`Invalid ${name}, expected an ISO date`);
+  }
+  return Math.floor(time / 1000);
+}
+
+/**
+ * Platform revenue from completed payments: totals, fees per data category and
+ * fees per day, week or month. `from` and `to` are ISO dates; `to` is exclusive.
+ */
+function buildRevenueReport(payments, { period = "month", from, to } = {}) {
+  if (!REVENUE_PERIODS.includes(period)) {
+    throw revenueError(`Invalid period, expected one of: ${REVENUE_PERIODS.join(", ")}`);
+  }
+  const fromTime = parseBound(from, "from");
+  const toTime = parseBound(to, "to");
+
+  const selected = payments.filter(
+    (payment) =>
+      (fromTime === null || payment.completedAt >= fromTime) &&
+      (toTime === null || payment.completedAt < toTime)
+  );
+
+  const byCategory = [...groupBy(selected, (payment) => payment.dataCategory)]
+    .map(([dataCategory, group]) => {
+      const key = categoryKeyFromBytes(dataCategory);
+      return { category: key, categoryLabel: categoryLabel(key), ...summarize(group) };
+    })
+    .sort((a, b) => {
+      const difference = BigInt(b.platformFees) - BigInt(a.platformFees);
+      return difference > 0n ? 1 : difference < 0n ? -1 : 0;
+    });
+
+  const byPeriod = [...groupBy(selected, (payment) => periodKey(payment.completedAt, period))]
+    .map(([key, group]) => ({ period: key, ...summarize(group) }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+
+  return {
+    period,
+    from: from || null,
+    to: to || null,
+    totals: summarize(selected),
+    byCategory,
+    byPeriod,
+  };
+}
+
+module.exports = { REVENUE_PERIODS, buildRevenueReport };
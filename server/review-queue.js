@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const { openStore } = require("./store");
+
+function reviewError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+/**
+ * Store-backed queue of submissions an admin decides on one at a time. Every
+ * record starts out `pending`; a decision sets its status, reviewer and review
+ * time. Each queue names its store and the key its records live under, labels
+ * its statuses, and says how to copy the nested fields of a record it returns.
+ * Records are persisted under DATA_DIR/<name>-<network>.json.
+ */
+function createReviewQueue({ name, network, collection, statuses, label, copy = () => ({}) }) {
+  const store = openStore(`${name}-${network}`, { [collection]: {} });
+
+  function records() {
+    return store.data[collection];
+  }
+
+  function summarize(record) {
+    return { ...record, statusLabel: statuses[record.status], ...copy(record) };
+  }
+
+  function requireRecord(id) {
+    const record = records()[id];
+    if (!record) {
+      throw reviewError(404, `${label} not found`);
+    }
+    return record;
+  }
+
+  function get(id) {
+    const record = records()[id];
+    return record ? summarize(record) : null;
+  }
+
+  /**
+   * Look up a record, or throw 404.
+   */
+  function load(id) {
+    return summarize(requireRecord(id));
+  }
+
+  function find(predicate) {
+    const record = Object.values(records()).find(predicate);
+    return record ? summarize(record) : null;
+  }
+
+  /**
+   * File a pending record with the given fields.
+   */
+  function add(fields) {
+    const now = new Date().toISOString();
+    const record = {
+      id: crypto.randomUUID(),
+      ...fields,
+      status: "pending",
+      submittedAt: now,
+      updatedAt: now,
+      reviewedBy: null,
+      reviewedAt: null,
+    };
+    records()[record.id] = record;
+    store.save();
+    return summarize(record);
+  }
+
+  function update(id, changes) {
+    const record = requireRecord(id);
+    Object.assign(record, changes, { updatedAt: new Date().toISOString() });
+    store.save();
+    return summarize(record);
+  }
+
+  /**
+   * Records oldest first. Each filter that is set must equal the record's field.
+   */
+  function list(filters = {}) {
+    return Object.values(records())
+      .filter((record) => Object.entries(filters).every(([key, value]) => !value || record[key] === value))
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+      .map(summarize);
+  }
+
+  /**
+   * Check that a record is still awaiting a decision.
+   */
+  function requirePending(id) {
+    const record = requireRecord(id);
+    if (record.status !== "pending") {
+      throw reviewError(409, `${label} is already ${record.status}`);
+    }
+    return summarize(record);
+  }
+
+  /**
+   * Record an admin's decision on a pending record, with any extra fields
+   * such as the reason.
+   */
+  function decide(id, status, changes, actor) {
+    requirePending(id);
+    return update(id, {
+      ...changes,
+      status,
+      reviewedBy: actor,
+      reviewedAt: new Date().toISOString(),
+    });
+  }
+
+  return { get, load, find, add, update, list, requirePending, decide };
+}
+
+module.exports = { reviewError, createReviewQueue };
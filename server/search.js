@@ -0,0 +1,162 @@
+const { ethers } = require("ethers");
+const { CATEGORY_BYTES } = require("./categories");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Every sort breaks ties on listingId so cursors are stable
+const LISTING_SORTS = {
+  newest: { value: (listing) => BigInt(listing.createdAt), descending: true },
+  oldest: { value: (listing) => BigInt(listing.createdAt), descending: false },
+  price_asc: { value: (listing) => BigInt(listing.basePrice), descending: false },
+  price_desc: { value: (listing) => BigInt(listing.basePrice), descending: true },
+  popular: { value: (listing) => BigInt(listing.totalAccesses), descending: true },
+};
+
+function badQuery(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+function parsePrice(value, name) {
+  if (value === undefined || value === "") return null;
+  let price;
+  try {
+    price = ethers.parseEther(String(value));
+  } catch (_) {
+    throw badQuery(`Invalid ${name}`);
+  }
+  if (price < 0n) {
+    throw badQuery(`Invalid ${name}`);
+  }
+  return price;
+}
+
+function parseInteger(value, name) {
+  if (value === undefined || value === "") return null;
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw badQuery(`Invalid ${name}`);
+  }
+  return parsed;
+}
+
+function parseTimestamp(value, name) {
+  if (value === undefined || value === "") return null;
+  if (/^\d+$/.test(String(value))) return Number(value);
+
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw badQuery(`Invalid ${name}`);
+  }
+  return Math.floor(time / 1000);
+}
+
+function encodeCursor(sort, listing) {
+  const position = { v: sort.value(listing).toString(), id: listing.listingId };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf-8"));
+    return { value: BigInt(position.v), id: String(position.id) };
+  } catch (_) {
+    throw badQuery("Invalid cursor");
+  }
+}
+
+function comparePositions(sort, a, b) {
+  if (a.value !== b.value) {
+    const ascending = a.value < b.value ? -1 : 1;
+    return sort.descending ? -ascending : ascending;
+  }
+  return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Validate /api/listings query parameters.
+ */
+function parseListingQuery(query) {
+  const category = query.category || null;
+  if (category && !CATEGORY_BYTES[category]) {
+    throw badQuery("Invalid category");
+  }
+
+  const sortName = query.sort || "newest";
+  if (!LISTING_SORTS[sortName]) {
+    throw badQuery(`Invalid sort, expected one of: ${Object.keys(LISTING_SORTS).join(", ")}`);
+  }
+
+  const limit = parseInteger(query.limit, "limit") ?? DEFAULT_PAGE_SIZE;
+  if (limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badQuery(`limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const minPrice = parsePrice(query.minPrice, "minPrice");
+  const maxPrice = parsePrice(query.maxPrice, "maxPrice");
+  if (minPrice !== null && maxPrice !== null && minPrice > maxPrice) {
+    throw badQuery("minPrice cannot be greater than maxPrice");
+  }
+
+  return {
+    category,
+    minPrice,
+    maxPrice,
+    minAccesses: parseInteger(query.minAccesses, "minAccesses"),
+    createdAfter: parseTimestamp(query.createdAfter, "createdAfter"),
+    terms: String(query.q || "")
+      .toLowerCase()
+      .split(/\s+/)
+      .filter(Boolean),
+    sort: sortName,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+/**
+ * Filter, sort and paginate indexed listings.
+ * Returns the page, the total number of matches and the cursor for the next page.
+ */
+function searchListings(listings, options) {
+  const categoryBytes = options.category && CATEGORY_BYTES[options.category].toLowerCase();
+  const sort = LISTING_SORTS[options.sort];
+
+  const matches = listings.filter((listing) => {
+    if (categoryBytes && listing.dataCategory.toLowerCase() !== categoryBytes) return false;
+
+    const price = BigInt(listing.basePrice);
+    if (options.minPrice !== null && price < options.minPrice) return false;
+    if (options.maxPrice !== null && price > options.maxPrice) return false;
+    if (options.minAccesses !== null && listing.totalAccesses < options.minAccesses) return false;
+    if (options.createdAfter !== null && listing.createdAt <= options.createdAfter) return false;
+
+    if (options.terms.length) {
+      const description = listing.dataDescription.toLowerCase();
+      if (!options.terms.every((term) => description.includes(term))) return false;
+    }
+
+    return true;
+  });
+
+  const positioned = matches
+    .map((listing) => ({ listing, value: sort.value(listing), id: listing.listingId }))
+    .sort((a, b) => comparePositions(sort, a, b));
+
+  const start = options.cursor
+    ? positioned.findIndex((entry) => comparePositions(sort, entry, options.cursor) > 0)
+    : 0;
+  const page =
+    start === -1 ? [] : positioned.slice(start, start + options.limit).map((entry) => entry.listing);
+  const hasMore = start !== -1 && start + options.limit < positioned.length;
+
+  return {
+    listings: page,
+    total: matches.length,
+    nextCursor: hasMore ? encodeCursor(sort, page[page.length - 1]) : null,
+  };
+}
+
+module.exports = { LISTING_SORTS, parseListingQuery, searchListings };
@@ -0,0 +1,35 @@
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "..", "data");
+
+/**
+ * Open a JSON document persisted under DATA_DIR/<name>.json.
+ * Mutate `store.data` in place and call `store.save()` to persist it.
+ */
+function openStore(name, defaults = {}) {
+  const filePath = path.join(DATA_DIR, `${name}.json`);
+  const store = {
+    filePath,
+    data: structuredClone(defaults),
+    save() {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      // Write then rename so a crash never leaves a half-written file behind
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(store.data));
+      fs.renameSync(tmpPath, filePath);
+    },
+    reset() {
+      store.data = structuredClone(defaults);
+      store.save();
+    },
+  };
+
+  if (fs.existsSync(filePath)) {
+    store.data = { ...store.data, ...JSON.parse(fs.readFileSync(filePath, "utf-8")) };
+  }
+
+  return store;
+}
+
+module.exports = { DATA_DIR, openStore };
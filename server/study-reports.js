@@ -0,0 +1,54 @@
+const { reviewError, createReviewQueue } = require("./review-queue");
+
+const REPORT_STATUS = {
+  pending: "Pending review",
+  accepted: "Accepted",
+  rejected: "Rejected",
+};
+
+/**
+ * Study outcome reports filed by researchers against completed access
+ * requests. An admin reviews each report; only an accepted one leads to the
+ * on-chain recordStudyCompletion call. A rejected report can be filed again.
+ * Persisted under DATA_DIR/study-reports-<network>.json.
+ */
+function createStudyReports({ network }) {
+  const queue = createReviewQueue({
+    name: "study-reports",
+    network,
+    collection: "reports",
+    statuses: REPORT_STATUS,
+    label: "Study report",
+  });
+
+  function submit({ requestId, researcherId, walletAddress, doi, resultsUri, successful, summary }) {
+    const filed = queue.find(
+      (candidate) => candidate.requestId === requestId && candidate.status !== "rejected"
+    );
+    if (filed) {
+      throw reviewError(409, `A study report for this request is already ${filed.status}`);
+    }
+
+    return queue.add({
+      requestId,
+      researcherId,
+      walletAddress,
+      doi,
+      resultsUri,
+      successful,
+      summary: summary || null,
+      decisionReason: null,
+    });
+  }
+
+  return {
+    submit,
+    list: queue.list,
+    requirePending: queue.requirePending,
+    markAccepted: (id, actor) => queue.decide(id, "accepted", { decisionReason: null }, actor),
+    markRejected: (id, reason, actor) =>
+      queue.decide(id, "rejected", { decisionReason: reason || null }, actor),
+  };
+}
+
+module.exports = { REPORT_STATUS, createStudyReports };
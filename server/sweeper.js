@@ -0,0 +1,72 @@
+const { txStep } = require("./transactions");
+
+const SWEEP_INTERVAL_MS = Number(process.env.REQUEST_SWEEP_MS || 60 * 1000);
+
+/**
+ * Expires pending and approved requests once they are older than the request
+ * TTL. A pending request's escrow is refunded to the researcher, while an
+ * approved one, whose key was already released, is paid out to the patient.
+ * DataMarketplace refuses to expire a request before its own requestTimeout,
+ * so a shorter TTL is raised to that timeout.
+ */
+function createRequestSweeper({ provider, contracts, indexer, transactions, ttlSeconds }) {
+  let timer = null;
+  let sweeping = null;
+
+  async function getTtl() {
+    const timeout = Number(await contracts.DataMarketplace.requestTimeout());
+    return ttlSeconds ? Math.max(ttlSeconds, timeout) : timeout;
+  }
+
+  async function runSweep() {
+    await indexer.sync();
+    const [ttl, latest] = await Promise.all([getTtl(), provider.getBlock("latest")]);
+    const stale = indexer
+      .getRequests()
+      .filter((request) => request.status <= 1 && request.requestedAt + ttl <= latest.timestamp);
+
+    const expired = [];
+    for (const { requestId } of stale) {
+      try {
+        await transactions.run("Expire stale request", [
+          txStep("Expire request", contracts.DataMarketplace, "expireAccess", [requestId]),
+        ]);
+        expired.push(requestId);
+      } catch (error) {
+        console.error(`Could not expire request ${requestId}:`, error.message);
+      }
+    }
+
+    if (expired.length) await indexer.sync();
+    return expired;
+  }
+
+  /**
+   * Expire every stale request now and return their ids. Overlapping calls
+   * share the sweep that is already running.
+   */
+  function sweep() {
+    if (!sweeping) {
+      sweeping = runSweep().finally(() => {
+        sweeping = null;
+      });
+    }
+    return sweeping;
+  }
+
+  function start() {
+    const tick = () =>
+      sweep().catch((error) => console.error("Request sweep failed:", error.message));
+
+    timer = setInterval(tick, SWEEP_INTERVAL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, sweep, getTtl };
+}
+
+module.exports = { createRequestSweeper };
@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const { decodeContractError } = require("./errors");
+
+const MAX_ATTEMPTS = 3;
+const TX_TIMEOUT_MS = Number(process.env.TX_TIMEOUT_MS || 120 * 1000);
+const MAX_TRACKED_OPERATIONS = 500;
+
+function isNonceError(error) {
+  return (
+    error.code === "NONCE_EXPIRED" ||
+    error.code === "REPLACEMENT_UNDERPRICED" ||
+    /nonce too (low|high)|already known|replacement transaction underpriced/i.test(
+      error.message || ""
+    )
+  );
+}
+
+/**
+ * Describe one contract call of an operation.
+ */
+function txStep(label, contract, method, args) {
+  return {
+    label,
+    send: (overrides) => contract[method](...args, overrides),
+  };
+}
+
+/**
+ * Serializes every transaction sent by the operator wallet. Nonces are
+ * assigned locally instead of asking the node for each transaction, so
+ * concurrent API requests cannot collide. Dropped or cancelled transactions
+ * are resubmitted after resyncing the nonce.
+ */
+function createTransactionManager({ signer, provider }) {
+  const operations = new Map();
+  const listeners = new Set();
+
+  let queue = Promise.resolve();
+  let nextNonce = null;
+
+  async function reserveNonce() {
+    if (nextNonce === null) {
+      nextNonce = Number(
+        await provider.send("eth_getTransactionCount", [await signer.getAddress(), "pending"])
+      );
+    }
+    return nextNonce;
+  }
+
+  function resyncNonce() {
+    nextNonce = null;
+  }
+
+  function enqueue(task) {
+    const result = queue.then(task);
+    queue = result.catch(() => {});
+    return result;
+  }
+
+  function summarize(operation) {
+    return {
+      id: operation.id,
+      label: operation.label,
+      status: operation.status,
+      createdAt: operation.createdAt,
+      updatedAt: operation.updatedAt,
+      failedStep: operation.failedStep,
+      steps: operation.steps.map((step) => ({ ...step })),
+    };
+  }
+
+  function touch(operation) {
+    operation.updatedAt = new Date().toISOString();
+    const summary = summarize(operation);
+    for (const listener of listeners) {
+      listener(summary);
+    }
+  }
+
+  async function sendStep(operation, progress, step) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const nonce = await reserveNonce();
+      progress.attempts = attempt;
+
+      let tx;
+      try {
+        tx = await step.send({ nonce });
+      } catch (error) {
+        if (isNonceError(error) && attempt < MAX_ATTEMPTS) {
+          resyncNonce();
+          continue;
+        }
+        throw error;
+      }
+
+      nextNonce = nonce + 1;
+      progress.status = "submitted";
+      progress.hash = tx.hash;
+      progress.nonce = nonce;
+      touch(operation);
+
+      try {
+        return await tx.wait(1, TX_TIMEOUT_MS);
+      } catch (error) {
+        if (error.code === "TRANSACTION_REPLACED") {
+          // Same call re-sent with a higher fee: the replacement counts as ours
+          if (!error.cancelled) return error.receipt;
+          resyncNonce();
+          continue;
+        }
+        if (error.code === "TIMEOUT" && attempt < MAX_ATTEMPTS) {
+          const pending = await provider.getTransaction(tx.hash);
+          if (!pending) {
+            // Dropped from the mempool; the nonce is free again
+            resyncNonce();
+            continue;
+          }
+        }
+        if (error.code !== "CALL_EXCEPTION") resyncNonce();
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Queue the steps of an operation. Returns its id right away; `done`
+   * resolves with the operation summary once every step is mined. If a step
+   * fails, the remaining steps are skipped and the rejection carries the
+   * summary, including which step failed.
+   */
+  function start(label, steps) {
+    const operation = {
+      id: crypto.randomUUID(),
+      label,
+      status: "queued",
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      failedStep: null,
+      steps: steps.map((step) => ({ label: step.label, status: "pending" })),
+    };
+    operations.set(operation.id, operation);
+    if (operations.size > MAX_TRACKED_OPERATIONS) {
+      operations.delete(operations.keys().next().value);
+    }
+    touch(operation);
+
+    return { id: operation.id, done: runSteps(operation, steps) };
+  }
+
+  async function runSteps(operation, steps) {
+    for (let i = 0; i < steps.length; i++) {
+      const progress = operation.steps[i];
+      try {
+        const receipt = await enqueue(() => {
+          operation.status = "running";
+          return sendStep(operation, progress, steps[i]);
+        });
+        progress.status = "mined";
+        progress.hash = receipt.hash;
+        progress.blockNumber = receipt.blockNumber;
+        touch(operation);
+      } catch (error) {
+        progress.status = "failed";
+        progress.error = error.shortMessage || error.message;
+        const decoded = decodeContractError(error);
+        progress.revertReason = decoded ? decoded.reason : null;
+        progress.errorCode = decoded ? decoded.code : null;
+        operation.steps.slice(i + 1).forEach((skipped) => {
+          skipped.status = "skipped";
+        });
+        operation.status = "failed";
+        operation.failedStep = i;
+        touch(operation);
+
+        error.operation = summarize(operation);
+        if (steps.length > 1) {
+          error.message = `Step ${i + 1} of ${steps.length} (${progress.label}) failed: ${
+            error.shortMessage || error.message
+          }`;
+        }
+        throw error;
+      }
+    }
+
+    operation.status = "succeeded";
+    touch(operation);
+    return summarize(operation);
+  }
+
+  /**
+   * Run an operation and wait for it to finish.
+   */
+  function run(label, steps) {
+    return start(label, steps).done;
+  }
+
+  function getOperation(id) {
+    const operation = operations.get(id);
+    return operation ? summarize(operation) : null;
+  }
+
+  function onProgress(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  return { start, run, getOperation, onProgress };
+}
+
+module.exports = { txStep, createTransactionManager };
@@ -0,0 +1,97 @@
+const { createReviewQueue } = require("./review-queue");
+
+const VERIFICATION_STATUS = {
+  pending: "Pending",
+  verified: "Verified",
+  rejected: "Rejected",
+};
+
+/**
+ * Off-chain KYC queue. Registration files an application; a verifier reviews
+ * the evidence and only an approval leads to the on-chain verify call.
+ * Applications are persisted under DATA_DIR/verifications-<network>.json.
+ */
+function createVerificationQueue({ network }) {
+  const queue = createReviewQueue({
+    name: "verifications",
+    network,
+    collection: "applications",
+    statuses: VERIFICATION_STATUS,
+    label: "Verification application",
+    copy: (application) => ({ evidence: application.evidence.map((item) => ({ ...item })) }),
+  });
+
+  function findBySubject(role, subjectId) {
+    return queue.find(
+      (candidate) => candidate.role === role && candidate.subjectId === subjectId
+    );
+  }
+
+  function findByWallet(role, walletAddress) {
+    const wallet = walletAddress.toLowerCase();
+    return queue.find(
+      (candidate) => candidate.role === role && candidate.walletAddress.toLowerCase() === wallet
+    );
+  }
+
+  /**
+   * File a pending application for a newly registered patient or researcher.
+   * Resubmitting after a rejection puts the same application back in the queue.
+   */
+  function submit({ role, subjectId, walletAddress }) {
+    const existing = findBySubject(role, subjectId);
+    if (existing && existing.status === "rejected") {
+      return queue.update(existing.id, {
+        status: "pending",
+        submittedAt: new Date().toISOString(),
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+      });
+    }
+    if (existing) return existing;
+
+    return queue.add({ role, subjectId, walletAddress, evidence: [], rejectionReason: null });
+  }
+
+  function addEvidence(id, { uri, description }, actor) {
+    const application = queue.load(id);
+    return queue.update(id, {
+      evidence: [
+        ...application.evidence,
+        {
+          uri,
+          description: description || "",
+          addedBy: actor,
+          addedAt: new Date().toISOString(),
+        },
+      ],
+    });
+  }
+
+  /**
+   * File pending applications for registered subjects that have none, such as
+   * wallets registered before the queue existed. Returns the new applications.
+   */
+  function backfill(subjects) {
+    return subjects
+      .filter(({ role, subjectId }) => !findBySubject(role, subjectId))
+      .map((subject) => submit(subject));
+  }
+
+  return {
+    submit,
+    get: queue.get,
+    findBySubject,
+    findByWallet,
+    list: queue.list,
+    backfill,
+    addEvidence,
+    requireReviewable: queue.requirePending,
+    markVerified: (id, actor) => queue.decide(id, "verified", { rejectionReason: null }, actor),
+    markRejected: (id, reason, actor) =>
+      queue.decide(id, "rejected", { rejectionReason: reason }, actor),
+  };
+}
+
+module.exports = { VERIFICATION_STATUS, createVerificationQueue };
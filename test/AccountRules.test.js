@@ -32,6 +32,15 @@ describe("AccountRules", function () {
       const ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("ADMIN_ROLE"));
       expect(await accountRules.hasRole(ADMIN_ROLE, admin2.address)).to.be.true;
     });
+
+    it("Should list the deployer once when it is also an initial admin", async function () {
+      const AccountRules = await ethers.getContractFactory("AccountRules");
+      const rules = await AccountRules.deploy([deployer.address, deployer.address]);
+
+      expect(await rules.getAllAccounts()).to.deep.equal([deployer.address]);
+      await expect(rules.removeAccount(deployer.address))
+        .to.be.revertedWith("Cannot remove last admin");
+    });
   });
 
   describe("Transaction Allowed", function () {
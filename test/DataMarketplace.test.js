@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("DataMarketplace", function () {
   let healthToken, patientRegistry, researcherRegistry, consentManager, dataMarketplace;
@@ -71,13 +72,19 @@ describe("DataMarketplace", function () {
     await patientRegistry.updateDataCategories(patientId, ethers.toBeHex(0x01, 32));
   }
 
-  // Helper: set up a verified researcher with category access
+  // Helper: set up a verified, funded researcher with category access
   async function setupResearcher() {
     await researcherRegistry.registerResearcher(
       researcherId, researcher.address, 1, "MIT", "ipfs://cred"
     );
     await researcherRegistry.verifyResearcher(researcherId);
     await researcherRegistry.approveCategory(researcherId, dataCategory);
+
+    // Requests escrow the offer from the researcher's wallet
+    await healthToken.transfer(researcher.address, ethers.parseEther("1000"));
+    await healthToken.connect(researcher).approve(
+      await dataMarketplace.getAddress(), ethers.MaxUint256
+    );
   }
 
   // Helper: grant consent
@@ -288,6 +295,29 @@ describe("DataMarketplace", function () {
       ).to.be.revertedWith("Price too low");
     });
 
+    it("Should accept an offer at the tier-discounted price", async function () {
+      // New researchers start at Silver reputation, which takes 5% off
+      const discounted = ethers.parseEther("95");
+      expect(await dataMarketplace.tierPrice(researcherId, listingId)).to.equal(discounted);
+
+      await expect(
+        dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", discounted)
+      ).to.emit(dataMarketplace, "AccessRequested");
+    });
+
+    it("Should drop the discount when the researcher falls to Bronze", async function () {
+      const REGISTRAR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("REGISTRAR_ROLE"));
+      await researcherRegistry.grantRole(REGISTRAR_ROLE, admin.address);
+      await researcherRegistry.updateReputation(researcherId, -3000);
+
+      expect(await dataMarketplace.tierPrice(researcherId, listingId)).to.equal(price);
+      await expect(
+        dataMarketplace.requestAccess(
+          requestId, researcherId, listingId, "Study", ethers.parseEther("95")
+        )
+      ).to.be.revertedWith("Price too low");
+    });
+
     it("Should reject unverified researcher", async function () {
       const fakeId = ethers.keccak256(ethers.toUtf8Bytes("fake-researcher"));
       await expect(
@@ -386,11 +416,6 @@ describe("DataMarketplace", function () {
       await setupListing(price);
       await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
       await dataMarketplace.approveAccess(requestId, "ipfs://key");
-
-      // Fund admin with tokens and approve marketplace
-      // Admin already has tokens from initial distribution
-      const marketplaceAddr = await dataMarketplace.getAddress();
-      await healthToken.approve(marketplaceAddr, ethers.parseEther("1000000"));
     });
 
     it("Should complete access and process payment correctly", async function () {
@@ -463,6 +488,379 @@ describe("DataMarketplace", function () {
     });
   });
 
+  describe("Escrow", function () {
+    const price = ethers.parseEther("100");
+    const RequestStatus = {
+      Pending: 0, Approved: 1, Rejected: 2, Completed: 3, Cancelled: 4, Expired: 5,
+    };
+    let marketplaceAddr;
+
+    beforeEach(async function () {
+      await setupListing(price);
+      marketplaceAddr = await dataMarketplace.getAddress();
+    });
+
+    it("Should lock the offered price when access is requested", async function () {
+      const offer = ethers.parseEther("120");
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(
+        dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", offer)
+      )
+        .to.emit(dataMarketplace, "EscrowDeposited")
+        .withArgs(requestId, researcher.address, offer);
+
+      const escrow = await dataMarketplace.escrows(requestId);
+      expect(escrow.payer).to.equal(researcher.address);
+      expect(escrow.amount).to.equal(offer);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(offer);
+      expect(await healthToken.balanceOf(marketplaceAddr)).to.equal(offer);
+      expect(researcherBefore - await healthToken.balanceOf(researcher.address)).to.equal(offer);
+    });
+
+    it("Should reject a request the researcher has not approved funds for", async function () {
+      await healthToken.connect(researcher).approve(marketplaceAddr, 0);
+
+      await expect(
+        dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price)
+      ).to.be.revertedWithCustomError(healthToken, "ERC20InsufficientAllowance");
+    });
+
+    it("Should reject a request the researcher cannot fund", async function () {
+      const balance = await healthToken.balanceOf(researcher.address);
+      await healthToken.connect(researcher).transfer(other.address, balance);
+
+      await expect(
+        dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price)
+      ).to.be.revertedWithCustomError(healthToken, "ERC20InsufficientBalance");
+    });
+
+    it("Should release the escrow to the patient and platform on completion", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, price);
+
+      const escrow = await dataMarketplace.escrows(requestId);
+      expect(escrow.amount).to.equal(0);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(0);
+      expect(await healthToken.balanceOf(marketplaceAddr)).to.equal(0);
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+      expect(await healthToken.balanceOf(patient.address)).to.equal(price - (price * 500n) / 10000n);
+    });
+
+    it("Should pull the difference when the consent price is above the offer", async function () {
+      const consentPrice = ethers.parseEther("150");
+      await consentManager.revokeConsent(patientId, researcherId, dataCategory);
+      await setupConsent(consentPrice);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, consentPrice);
+
+      expect(researcherBefore - await healthToken.balanceOf(researcher.address))
+        .to.equal(consentPrice - price);
+      expect(await healthToken.balanceOf(marketplaceAddr)).to.equal(0);
+    });
+
+    it("Should keep the escrow when completion fails", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      await consentManager.revokeConsent(patientId, researcherId, dataCategory);
+
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.be.revertedWith("Consent no longer valid");
+      expect((await dataMarketplace.escrows(requestId)).amount).to.equal(price);
+    });
+
+    it("Should refund the researcher on rejection", async function () {
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+
+      await expect(dataMarketplace.rejectAccess(requestId, "No"))
+        .to.emit(dataMarketplace, "EscrowRefunded")
+        .withArgs(requestId, researcher.address, price);
+
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(0);
+      expect((await dataMarketplace.accessRequests(requestId)).status)
+        .to.equal(RequestStatus.Rejected);
+    });
+
+    it("Should refund the researcher on cancellation", async function () {
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+
+      await expect(dataMarketplace.cancelAccess(requestId))
+        .to.emit(dataMarketplace, "AccessCancelled")
+        .withArgs(requestId)
+        .and.to.emit(dataMarketplace, "EscrowRefunded")
+        .withArgs(requestId, researcher.address, price);
+
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+      expect((await dataMarketplace.accessRequests(requestId)).status)
+        .to.equal(RequestStatus.Cancelled);
+    });
+
+    it("Should only cancel pending requests", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+
+      await expect(dataMarketplace.cancelAccess(requestId))
+        .to.be.revertedWith("Not pending");
+    });
+
+    it("Should reject cancellation from non-operator", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+
+      await expect(dataMarketplace.connect(researcher).cancelAccess(requestId))
+        .to.be.reverted;
+    });
+
+    it("Should not expire a request before the timeout", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+
+      await expect(dataMarketplace.expireAccess(requestId))
+        .to.be.revertedWith("Request not expired");
+    });
+
+    it("Should let anyone expire a pending request after the timeout", async function () {
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await time.increase(await dataMarketplace.requestTimeout());
+
+      await expect(dataMarketplace.connect(other).expireAccess(requestId))
+        .to.emit(dataMarketplace, "AccessExpired")
+        .withArgs(requestId)
+        .and.to.emit(dataMarketplace, "EscrowRefunded")
+        .withArgs(requestId, researcher.address, price);
+
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+      expect((await dataMarketplace.accessRequests(requestId)).status)
+        .to.equal(RequestStatus.Expired);
+    });
+
+    it("Should pay the patient when an approved request expires uncompleted", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      await time.increase(await dataMarketplace.requestTimeout());
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      const platformFee = (price * 500n) / 10000n;
+
+      await expect(dataMarketplace.expireAccess(requestId))
+        .to.emit(dataMarketplace, "ExpiredAccessSettled")
+        .withArgs(requestId, price - platformFee, platformFee)
+        .and.to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, price)
+        .and.not.to.emit(dataMarketplace, "EscrowRefunded");
+
+      expect(await healthToken.balanceOf(patient.address)).to.equal(price - platformFee);
+      expect(await healthToken.balanceOf(platformWallet.address)).to.equal(platformFee);
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(0);
+      expect((await dataMarketplace.listings(listingId)).totalEarnings).to.equal(price - platformFee);
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.be.revertedWith("Not approved");
+    });
+
+    it("Should only let the operator expire an approved request", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      await time.increase(await dataMarketplace.requestTimeout());
+
+      await expect(dataMarketplace.connect(researcher).expireAccess(requestId))
+        .to.be.revertedWith("Only operator can expire approved");
+      expect((await dataMarketplace.accessRequests(requestId)).status)
+        .to.equal(RequestStatus.Approved);
+    });
+
+    it("Should not expire settled requests", async function () {
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.rejectAccess(requestId, "No");
+      await time.increase(await dataMarketplace.requestTimeout());
+
+      await expect(dataMarketplace.expireAccess(requestId))
+        .to.be.revertedWith("Not pending or approved");
+    });
+
+    it("Should allow admin to update the request timeout", async function () {
+      const oneWeek = 7 * 24 * 60 * 60;
+      await expect(dataMarketplace.updateRequestTimeout(oneWeek))
+        .to.emit(dataMarketplace, "RequestTimeoutUpdated")
+        .withArgs(30 * 24 * 60 * 60, oneWeek);
+
+      await expect(dataMarketplace.updateRequestTimeout(0))
+        .to.be.revertedWith("Duration must be positive");
+      await expect(dataMarketplace.connect(other).updateRequestTimeout(oneWeek))
+        .to.be.reverted;
+    });
+  });
+
+  describe("Negotiation", function () {
+    const price = ethers.parseEther("100");
+
+    beforeEach(async function () {
+      await setupListing(price);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+    });
+
+    it("Should record the patient's counter-offer", async function () {
+      const counter = ethers.parseEther("150");
+
+      await expect(dataMarketplace.counterOffer(requestId, counter))
+        .to.emit(dataMarketplace, "CounterOffered")
+        .withArgs(requestId, counter);
+
+      expect(await dataMarketplace.counterOffers(requestId)).to.equal(counter);
+      expect((await dataMarketplace.accessRequests(requestId)).offeredPrice).to.equal(price);
+    });
+
+    it("Should top up the escrow when a higher counter-offer is accepted", async function () {
+      const counter = ethers.parseEther("150");
+      await dataMarketplace.counterOffer(requestId, counter);
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(dataMarketplace.acceptCounterOffer(requestId))
+        .to.emit(dataMarketplace, "CounterOfferAccepted")
+        .withArgs(requestId, counter)
+        .and.to.emit(dataMarketplace, "EscrowAdjusted")
+        .withArgs(requestId, price, counter);
+
+      expect((await dataMarketplace.accessRequests(requestId)).offeredPrice).to.equal(counter);
+      expect((await dataMarketplace.escrows(requestId)).amount).to.equal(counter);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(counter);
+      expect(await dataMarketplace.counterOffers(requestId)).to.equal(0);
+      expect(researcherBefore - await healthToken.balanceOf(researcher.address))
+        .to.equal(counter - price);
+    });
+
+    it("Should hold a researcher's revision as a counter-offer until the patient accepts", async function () {
+      const revised = ethers.parseEther("120");
+      await dataMarketplace.counterOffer(requestId, ethers.parseEther("150"));
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(dataMarketplace.reviseOffer(requestId, revised))
+        .to.emit(dataMarketplace, "OfferRevised")
+        .withArgs(requestId, revised)
+        .and.not.to.emit(dataMarketplace, "EscrowAdjusted");
+
+      expect(await dataMarketplace.counterOffers(requestId)).to.equal(revised);
+      expect(await dataMarketplace.counterByResearcher(requestId)).to.equal(true);
+      expect(await dataMarketplace.negotiated(requestId)).to.equal(false);
+      expect((await dataMarketplace.accessRequests(requestId)).offeredPrice).to.equal(price);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(price);
+
+      await dataMarketplace.acceptCounterOffer(requestId);
+
+      expect(await dataMarketplace.negotiated(requestId)).to.equal(true);
+      expect(await dataMarketplace.counterByResearcher(requestId)).to.equal(false);
+      expect((await dataMarketplace.accessRequests(requestId)).offeredPrice).to.equal(revised);
+      expect(await dataMarketplace.totalEscrowed()).to.equal(revised);
+      expect(researcherBefore - await healthToken.balanceOf(researcher.address))
+        .to.equal(revised - price);
+    });
+
+    it("Should refund part of the escrow when a lower revision is accepted", async function () {
+      // The consent's agreed price (100) is the floor, so revise an offer made above it
+      const otherRequestId = ethers.keccak256(ethers.toUtf8Bytes("request-002"));
+      const offered = ethers.parseEther("150");
+      const revised = ethers.parseEther("110");
+      await dataMarketplace.requestAccess(otherRequestId, researcherId, listingId, "Study", offered);
+      await dataMarketplace.reviseOffer(otherRequestId, revised);
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+
+      await expect(dataMarketplace.acceptCounterOffer(otherRequestId))
+        .to.emit(dataMarketplace, "EscrowAdjusted")
+        .withArgs(otherRequestId, offered, revised);
+
+      expect(await healthToken.balanceOf(researcher.address) - researcherBefore)
+        .to.equal(offered - revised);
+    });
+
+    it("Should reject accepting without a counter-offer", async function () {
+      await expect(dataMarketplace.acceptCounterOffer(requestId))
+        .to.be.revertedWith("No counter-offer");
+    });
+
+    it("Should not let a revision lower the price charged on completion", async function () {
+      // The consent's agreed price (100) is the floor even when the listing is cheaper
+      await dataMarketplace.updateListing(listingId, ethers.parseEther("50"), true);
+      expect(await dataMarketplace.minimumOffer(requestId)).to.equal(price);
+
+      await expect(dataMarketplace.reviseOffer(requestId, ethers.parseEther("80")))
+        .to.be.revertedWith("Price below minimum");
+      expect(await dataMarketplace.negotiated(requestId)).to.equal(false);
+
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, price);
+    });
+
+    it("Should reject revising below the patient's minimum or the tier price", async function () {
+      await consentManager.setPatientMinPrice(patientId, ethers.parseEther("120"));
+      expect(await dataMarketplace.minimumOffer(requestId)).to.equal(ethers.parseEther("120"));
+      await expect(dataMarketplace.reviseOffer(requestId, ethers.parseEther("110")))
+        .to.be.revertedWith("Price below minimum");
+
+      await consentManager.setPatientMinPrice(patientId, 0);
+      await dataMarketplace.updateListing(listingId, ethers.parseEther("200"), true);
+      expect(await dataMarketplace.minimumOffer(requestId))
+        .to.equal(await dataMarketplace.tierPrice(researcherId, listingId));
+      await expect(dataMarketplace.reviseOffer(requestId, ethers.parseEther("150")))
+        .to.be.revertedWith("Price below minimum");
+    });
+
+    it("Should charge the accepted price on completion", async function () {
+      const revised = ethers.parseEther("120");
+      await dataMarketplace.reviseOffer(requestId, revised);
+      await dataMarketplace.acceptCounterOffer(requestId);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, revised);
+
+      const platformFee = (revised * 500n) / 10000n;
+      expect(await healthToken.balanceOf(patient.address)).to.equal(revised - platformFee);
+    });
+
+    it("Should charge the original offer when the patient approves over a revision", async function () {
+      await dataMarketplace.reviseOffer(requestId, ethers.parseEther("120"));
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+
+      expect(await dataMarketplace.counterOffers(requestId)).to.equal(0);
+      expect(await dataMarketplace.counterByResearcher(requestId)).to.equal(false);
+      await expect(dataMarketplace.completeAccess(requestId))
+        .to.emit(dataMarketplace, "EscrowReleased")
+        .withArgs(requestId, price);
+    });
+
+    it("Should clear an open counter-offer on approval", async function () {
+      await dataMarketplace.counterOffer(requestId, ethers.parseEther("150"));
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+
+      expect(await dataMarketplace.counterOffers(requestId)).to.equal(0);
+      await expect(dataMarketplace.counterOffer(requestId, ethers.parseEther("150")))
+        .to.be.revertedWith("Not pending");
+    });
+
+    it("Should reject zero prices and non-operators", async function () {
+      await expect(dataMarketplace.counterOffer(requestId, 0))
+        .to.be.revertedWith("Price must be positive");
+      await expect(dataMarketplace.reviseOffer(requestId, 0))
+        .to.be.revertedWith("Price must be positive");
+      await expect(dataMarketplace.connect(other).counterOffer(requestId, price))
+        .to.be.reverted;
+    });
+  });
+
   describe("Listing Management", function () {
     const price = ethers.parseEther("100");
 
@@ -523,6 +921,34 @@ describe("DataMarketplace", function () {
       await expect(dataMarketplace.connect(other).updatePlatformFee(1000))
         .to.be.reverted;
     });
+
+    it("Should allow admin to change the fee recipient", async function () {
+      await expect(dataMarketplace.updatePlatformFeeRecipient(other.address))
+        .to.emit(dataMarketplace, "PlatformFeeRecipientUpdated")
+        .withArgs(platformWallet.address, other.address);
+
+      expect(await dataMarketplace.platformFeeRecipient()).to.equal(other.address);
+    });
+
+    it("Should send fees to the new recipient", async function () {
+      const price = ethers.parseEther("100");
+      await setupListing(price);
+      await dataMarketplace.updatePlatformFeeRecipient(other.address);
+      await dataMarketplace.requestAccess(requestId, researcherId, listingId, "Study", price);
+      await dataMarketplace.approveAccess(requestId, "ipfs://key");
+
+      await dataMarketplace.completeAccess(requestId);
+
+      expect(await healthToken.balanceOf(other.address)).to.equal((price * 500n) / 10000n);
+      expect(await healthToken.balanceOf(platformWallet.address)).to.equal(0);
+    });
+
+    it("Should reject a zero or non-admin fee recipient update", async function () {
+      await expect(dataMarketplace.updatePlatformFeeRecipient(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid fee recipient");
+      await expect(dataMarketplace.connect(other).updatePlatformFeeRecipient(other.address))
+        .to.be.reverted;
+    });
   });
 
   describe("Pausable", function () {
@@ -70,6 +70,8 @@ describe("ResearcherRegistry", function () {
       );
       expect(await researcherRegistry.walletToResearcherId(researcher.address))
         .to.equal(researcherId);
+      expect(await researcherRegistry.getResearcherWallet(researcherId))
+        .to.equal(researcher.address);
     });
 
     it("Should reject duplicate researcher ID", async function () {
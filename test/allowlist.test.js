@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { parseAccountType, parseAccountsCsv } = require("../server/allowlist");
+
+const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+
+describe("Allowlist CSV", function () {
+  it("Should parse address,type rows by type key or enum value", function () {
+    const { accounts, types } = parseAccountsCsv(`${ALICE},patient\n${BOB},3`);
+
+    expect(accounts).to.deep.equal([ALICE, BOB]);
+    expect(types).to.deep.equal([5, 3]);
+  });
+
+  it("Should skip a header row, blank lines and comments", function () {
+    const csv = [
+      "address,type",
+      "",
+      "# clinic staff",
+      `${ALICE},hospital`,
+      "   ",
+      `${BOB},regulator`,
+      "",
+    ].join("\r\n");
+
+    const { accounts, types } = parseAccountsCsv(csv);
+    expect(accounts).to.deep.equal([ALICE, BOB]);
+    expect(types).to.deep.equal([2, 4]);
+  });
+
+  it("Should only skip the header before the first account", function () {
+    expect(() => parseAccountsCsv(`${ALICE},patient\naddress,type`)).to.throw(
+      'Line 2: invalid address "address"'
+    );
+  });
+
+  it("Should fill a missing type from the default type", function () {
+    const { types } = parseAccountsCsv(`${ALICE}\n${BOB},admin`, parseAccountType("patient"));
+
+    expect(types).to.deep.equal([5, 1]);
+  });
+
+  it("Should refuse a row without a type when there is no default", function () {
+    expect(() => parseAccountsCsv(`${ALICE},patient\n${BOB}`)).to.throw(
+      "Line 2: missing account type"
+    );
+  });
+
+  it("Should keep the first row of a repeated address, whatever its case", function () {
+    const csv = [`${ALICE},patient`, `${ALICE.toLowerCase()},admin`, `${BOB},hospital`].join("\n");
+
+    const { accounts, types } = parseAccountsCsv(csv);
+    expect(accounts).to.deep.equal([ALICE, BOB]);
+    expect(types).to.deep.equal([5, 2]);
+  });
+
+  it("Should checksum lowercase and uppercase addresses", function () {
+    const upper = `0x${ALICE.slice(2).toUpperCase()}`;
+
+    const { accounts } = parseAccountsCsv(`${ALICE.toLowerCase()},patient\n${upper},admin`);
+    expect(accounts).to.deep.equal([ALICE]);
+  });
+
+  it("Should refuse a mixed-case address with a bad checksum", function () {
+    const badChecksum = ALICE.replace("C51812dc", "c51812DC");
+
+    expect(() => parseAccountsCsv(`${badChecksum},patient`)).to.throw(
+      `Line 1: invalid address "${badChecksum}"`
+    );
+  });
+
+  it("Should refuse malformed and zero addresses with their line number", function () {
+    expect(() => parseAccountsCsv(`${ALICE},patient\n0x1234,patient`)).to.throw(
+      'Line 2: invalid address "0x1234"'
+    );
+    expect(() => parseAccountsCsv(`0x${"0".repeat(40)},patient`)).to.throw(
+      "Line 1: invalid address"
+    );
+  });
+
+  it("Should refuse an unknown account type with its line number", function () {
+    expect(() => parseAccountsCsv(`${ALICE},doctor`)).to.throw("Line 1: Invalid account type");
+    expect(() => parseAccountsCsv(`${ALICE},7`)).to.throw("Line 1: Invalid account type");
+  });
+
+  it("Should refuse a CSV without accounts", function () {
+    expect(() => parseAccountsCsv("address,type\n# nothing yet\n")).to.throw(
+      "The CSV has no accounts"
+    );
+    expect(() => parseAccountsCsv(undefined)).to.throw("The CSV has no accounts");
+  });
+
+  it("Should answer 400 for every parse error", function () {
+    try {
+      parseAccountsCsv("not-an-address,patient");
+      expect.fail("parseAccountsCsv should have thrown");
+    } catch (error) {
+      expect(error.status).to.equal(400);
+    }
+  });
+});
@@ -0,0 +1,1330 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Drives the Express routes against contracts deployed on the Hardhat network
+describe("API", function () {
+  let admin, patient, researcher, stranger;
+  let server, baseUrl, dataDir;
+  let adminToken, patientToken, researcherToken, strangerToken;
+  let healthToken, patientRegistry, dataMarketplace, listingId, patientApplicationId, researcherId;
+
+  async function call(method, route, body, token) {
+    const response = await fetch(`${baseUrl}${route}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        ...(token && { Authorization: `Bearer ${token}` }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  async function signIn(signer) {
+    const challenge = await call("POST", "/api/auth/nonce", { walletAddress: signer.address });
+    const signature = await signer.signMessage(challenge.body.message);
+    const session = await call("POST", "/api/auth/verify", {
+      message: challenge.body.message,
+      signature,
+    });
+    return session.body.token;
+  }
+
+  async function deploy() {
+    const deployed = {};
+    for (const [name, args] of [
+      ["HealthToken", [admin.address, admin.address, admin.address, admin.address, admin.address]],
+      ["PatientRegistry", [admin.address]],
+      ["ResearcherRegistry", [admin.address]],
+      ["ConsentManager", [admin.address]],
+    ]) {
+      deployed[name] = await ethers.deployContract(name, args);
+    }
+    deployed.DataMarketplace = await ethers.deployContract("DataMarketplace", [
+      admin.address,
+      await deployed.HealthToken.getAddress(),
+      await deployed.PatientRegistry.getAddress(),
+      await deployed.ResearcherRegistry.getAddress(),
+      await deployed.ConsentManager.getAddress(),
+      admin.address,
+    ]);
+    deployed.AccountRules = await ethers.deployContract("AccountRules", [[admin.address]]);
+    deployed.NodeRules = await ethers.deployContract("NodeRules", [admin.address]);
+
+    const marketplace = await deployed.DataMarketplace.getAddress();
+    const REGISTRAR_ROLE = ethers.keccak256(ethers.toUtf8Bytes("REGISTRAR_ROLE"));
+    const CONSENT_ADMIN_ROLE = ethers.keccak256(ethers.toUtf8Bytes("CONSENT_ADMIN_ROLE"));
+    await deployed.PatientRegistry.grantRole(REGISTRAR_ROLE, marketplace);
+    await deployed.ResearcherRegistry.grantRole(REGISTRAR_ROLE, marketplace);
+    await deployed.ConsentManager.grantRole(CONSENT_ADMIN_ROLE, marketplace);
+
+    const addresses = {};
+    for (const [name, contract] of Object.entries(deployed)) {
+      addresses[name] = await contract.getAddress();
+    }
+    return { deployed, deployment: { chainId: "1337", contracts: addresses } };
+  }
+
+  async function requestAccess(offer = "100") {
+    const response = await call(
+      "POST",
+      "/api/researcher/request",
+      { walletAddress: researcher.address, listingId, purpose: "Study", offer },
+      researcherToken
+    );
+    expect(response.status).to.equal(200);
+    return response.body.request.requestId;
+  }
+
+  async function grantConsent(agreedPrice) {
+    const response = await call(
+      "POST",
+      "/api/patient/consent",
+      { walletAddress: patient.address, researcherId, category: "vitals", agreedPrice },
+      patientToken
+    );
+    expect(response.status).to.equal(200);
+  }
+
+  before(async function () {
+    [admin, patient, researcher, stranger] = await ethers.getSigners();
+
+    // The server reads these when its modules load
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "sybron-api-"));
+    process.env.DATA_DIR = dataDir;
+    process.env.ADMIN_WALLETS = admin.address;
+    process.env.MAX_SIGN_IN_CHALLENGES = "20";
+    process.env.ENFORCE_ACCOUNT_RULES = "true";
+    // Shorter than the marketplace's requestTimeout, so the sweeper raises it
+    process.env.REQUEST_TTL_HOURS = "1";
+    const { createApp, initBlockchain } = require("../server");
+
+    const { deployed, deployment } = await deploy();
+    healthToken = deployed.HealthToken;
+    patientRegistry = deployed.PatientRegistry;
+    dataMarketplace = deployed.DataMarketplace;
+    // Enforcement is on, so every wallet the tests act for has to be listed
+    const wallets = (await ethers.getSigners()).slice(1, 6).map((signer) => signer.address);
+    await deployed.AccountRules.addAccounts(wallets, wallets.map(() => 6));
+    initBlockchain({ provider: ethers.provider, signer: admin, deployment });
+
+    server = createApp().listen(0);
+    await new Promise((resolve) => server.once("listening", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    adminToken = await signIn(admin);
+    patientToken = await signIn(patient);
+    researcherToken = await signIn(researcher);
+    strangerToken = await signIn(stranger);
+
+    const patientApplication = await call(
+      "POST",
+      "/api/patient/register",
+      { walletAddress: patient.address },
+      patientToken
+    );
+    patientApplicationId = patientApplication.body.applicationId;
+    await call("POST", `/api/admin/verifications/${patientApplicationId}/approve`, {}, adminToken);
+    const listing = await call(
+      "POST",
+      "/api/patient/listing",
+      { walletAddress: patient.address, category: "vitals", price: "100" },
+      patientToken
+    );
+    listingId = listing.body.listing.listingId;
+
+    const researcherApplication = await call(
+      "POST",
+      "/api/researcher/register",
+      { walletAddress: researcher.address },
+      researcherToken
+    );
+    await call(
+      "POST",
+      `/api/admin/verifications/${researcherApplication.body.applicationId}/approve`,
+      {},
+      adminToken
+    );
+    const category = await call(
+      "POST",
+      "/api/researcher/categories",
+      { walletAddress: researcher.address, category: "vitals", justification: "Cohort study" },
+      researcherToken
+    );
+    await call(
+      "POST",
+      `/api/admin/category-applications/${category.body.application.id}/grant`,
+      {},
+      adminToken
+    );
+    researcherId = researcherApplication.body.researcherId;
+    await grantConsent("100");
+
+    await healthToken.transfer(researcher.address, ethers.parseEther("2000"));
+    await healthToken
+      .connect(researcher)
+      .approve(await dataMarketplace.getAddress(), ethers.MaxUint256);
+  });
+
+  after(async function () {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe("Sign-in", function () {
+    it("Should replace a wallet's oldest challenge once it has five live ones", async function () {
+      const challenges = [];
+      for (let i = 0; i < 6; i++) {
+        const response = await call("POST", "/api/auth/nonce", { walletAddress: stranger.address });
+        challenges.push(response.body.message);
+      }
+
+      const oldest = await call("POST", "/api/auth/verify", {
+        message: challenges[0],
+        signature: await stranger.signMessage(challenges[0]),
+      });
+      expect(oldest.status).to.equal(401);
+
+      const newest = await call("POST", "/api/auth/verify", {
+        message: challenges[5],
+        signature: await stranger.signMessage(challenges[5]),
+      });
+      expect(newest.status).to.equal(200);
+    });
+
+    it("Should still sign a wallet in after the global challenge cap is reached", async function () {
+      const flood = [];
+      for (let i = 0; i < 20; i++) {
+        const wallet = ethers.Wallet.createRandom();
+        const response = await call("POST", "/api/auth/nonce", { walletAddress: wallet.address });
+        expect(response.status).to.equal(200);
+        flood.push({ wallet, message: response.body.message });
+      }
+
+      const token = await signIn(stranger);
+      expect(token).to.be.a("string");
+
+      const evicted = await call("POST", "/api/auth/verify", {
+        message: flood[0].message,
+        signature: await flood[0].wallet.signMessage(flood[0].message),
+      });
+      expect(evicted.status).to.equal(401);
+    });
+  });
+
+  describe("Event stream", function () {
+    // Read the stream's opening `ready` event, then hang up
+    async function openStream(query, token) {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/api/events${query}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        signal: controller.signal,
+      });
+      if (!response.headers.get("content-type").startsWith("text/event-stream")) {
+        return { status: response.status, body: await response.json() };
+      }
+
+      const reader = response.body.getReader();
+      const { value } = await reader.read();
+      controller.abort();
+      const data = /^data: (.*)$/m.exec(new TextDecoder().decode(value))[1];
+      return { status: response.status, ready: JSON.parse(data) };
+    }
+
+    async function fetchTicket(token) {
+      const response = await call("POST", "/api/events/ticket", {}, token);
+      expect(response.status).to.equal(200);
+      return response.body.ticket;
+    }
+
+    it("Should open a wallet's stream once per ticket", async function () {
+      const ticket = await fetchTicket(patientToken);
+
+      const stream = await openStream(`?ticket=${ticket}`);
+      expect(stream.status).to.equal(200);
+      expect(stream.ready.walletAddress).to.equal(patient.address);
+
+      const reused = await openStream(`?ticket=${ticket}`);
+      expect(reused.status).to.equal(401);
+      const unknown = await openStream("?ticket=not-a-ticket");
+      expect(unknown.status).to.equal(401);
+    });
+
+    it("Should refuse a session token in the URL and tickets without a session", async function () {
+      const inUrl = await openStream(`?token=${patientToken}`);
+      expect(inUrl.status).to.equal(400);
+      expect(inUrl.body.code).to.equal("STREAM_TICKET_REQUIRED");
+
+      const anonymous = await call("POST", "/api/events/ticket", {});
+      expect(anonymous.status).to.equal(401);
+
+      const header = await openStream("", patientToken);
+      expect(header.ready.walletAddress).to.equal(patient.address);
+      const open = await openStream("");
+      expect(open.ready.walletAddress).to.equal(null);
+    });
+
+    it("Should refuse a ticket whose session has ended", async function () {
+      const token = await signIn(stranger);
+      const ticket = await fetchTicket(token);
+      await call("POST", "/api/auth/logout", {}, token);
+
+      const stream = await openStream(`?ticket=${ticket}`);
+      expect(stream.status).to.equal(401);
+    });
+  });
+
+  describe("Access requests", function () {
+    it("Should create a pending request and escrow the offer", async function () {
+      const before = await healthToken.balanceOf(researcher.address);
+      const requestId = await requestAccess();
+
+      const { body } = await call("GET", `/api/researcher/${researcher.address}`);
+      const request = body.requests.find((candidate) => candidate.requestId === requestId);
+      expect(request.statusLabel).to.equal("Pending");
+      expect(request.escrowStatus).to.equal("held");
+      expect(request.escrowAmountFormatted).to.equal("100.0");
+      expect(before - await healthToken.balanceOf(researcher.address))
+        .to.equal(ethers.parseEther("100"));
+    });
+
+    it("Should answer 404 for an unknown request", async function () {
+      const unknown = ethers.keccak256(ethers.toUtf8Bytes("missing"));
+      const response = await call("POST", "/api/marketplace/approve", { requestId: unknown }, patientToken);
+
+      expect(response.status).to.equal(404);
+    });
+
+    it("Should answer 403 when someone else acts on a request", async function () {
+      const requestId = await requestAccess();
+
+      const approve = await call("POST", "/api/marketplace/approve", { requestId }, researcherToken);
+      expect(approve.status).to.equal(403);
+
+      const cancel = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: stranger.address, requestId },
+        strangerToken
+      );
+      expect(cancel.status).to.equal(403);
+
+      const unsigned = await call("POST", "/api/marketplace/approve", { requestId });
+      expect(unsigned.status).to.equal(401);
+    });
+
+    it("Should reject a request, refund it and answer 409 when it is rejected again", async function () {
+      const requestId = await requestAccess();
+      const before = await healthToken.balanceOf(researcher.address);
+
+      const rejected = await call("POST", "/api/marketplace/reject", { requestId }, patientToken);
+      expect(rejected.status).to.equal(200);
+      expect(rejected.body.request.statusLabel).to.equal("Rejected");
+      expect(rejected.body.request.escrowStatus).to.equal("refunded");
+      expect(await healthToken.balanceOf(researcher.address) - before)
+        .to.equal(ethers.parseEther("100"));
+
+      const again = await call("POST", "/api/marketplace/reject", { requestId }, patientToken);
+      expect(again.status).to.equal(409);
+      expect(again.body.code).to.equal("REQUEST_NOT_PENDING");
+    });
+
+    it("Should approve and complete a request, paying the patient", async function () {
+      const requestId = await requestAccess();
+
+      const early = await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      expect(early.status).to.equal(409);
+      expect(early.body.code).to.equal("REQUEST_NOT_APPROVED");
+
+      const approved = await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+      expect(approved.status).to.equal(200);
+      expect(approved.body.request.statusLabel).to.equal("Approved");
+
+      const before = await healthToken.balanceOf(patient.address);
+      const completed = await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      expect(completed.status).to.equal(200);
+      expect(completed.body.request.statusLabel).to.equal("Completed");
+      expect(completed.body.request.escrowStatus).to.equal("released");
+      expect(await healthToken.balanceOf(patient.address) - before)
+        .to.equal(ethers.parseEther("95"));
+
+      const again = await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      expect(again.status).to.equal(409);
+    });
+
+    it("Should refund a pending request and pay out an approved one on expiry", async function () {
+      const pendingId = await requestAccess();
+      const approvedId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId: approvedId }, patientToken);
+
+      const early = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: pendingId },
+        researcherToken
+      );
+      expect(early.status).to.equal(409);
+      expect(early.body.code).to.equal("REQUEST_NOT_EXPIRED");
+
+      await time.increase(await dataMarketplace.requestTimeout());
+
+      const stranger403 = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: pendingId },
+        strangerToken
+      );
+      expect(stranger403.status).to.equal(403);
+
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      const refunded = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: pendingId },
+        researcherToken
+      );
+      expect(refunded.status).to.equal(200);
+      expect(refunded.body.request.statusLabel).to.equal("Expired");
+      expect(refunded.body.request.escrowStatus).to.equal("refunded");
+      expect(await healthToken.balanceOf(researcher.address) - researcherBefore)
+        .to.equal(ethers.parseEther("100"));
+
+      const byResearcher = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: approvedId },
+        researcherToken
+      );
+      expect(byResearcher.status).to.equal(403);
+      expect(byResearcher.body.code).to.equal("REQUEST_APPROVED");
+
+      const patientBefore = await healthToken.balanceOf(patient.address);
+      const settled = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: approvedId },
+        patientToken
+      );
+      expect(settled.status).to.equal(200);
+      expect(settled.body.request.statusLabel).to.equal("Expired");
+      expect(settled.body.request.escrowStatus).to.equal("released");
+      expect(await healthToken.balanceOf(patient.address) - patientBefore)
+        .to.equal(ethers.parseEther("95"));
+
+      const again = await call(
+        "POST",
+        "/api/marketplace/expire",
+        { requestId: approvedId },
+        patientToken
+      );
+      expect(again.status).to.equal(409);
+      expect(again.body.code).to.equal("REQUEST_SETTLED");
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should cancel a pending request, refund it and answer 409 once it is settled", async function () {
+      const requestId = await requestAccess();
+
+      const forbidden = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: stranger.address, requestId },
+        strangerToken
+      );
+      expect(forbidden.status).to.equal(403);
+
+      const before = await healthToken.balanceOf(researcher.address);
+      const cancelled = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+      expect(cancelled.status).to.equal(200);
+      expect(cancelled.body.request.statusLabel).to.equal("Cancelled");
+      expect(cancelled.body.request.escrowStatus).to.equal("refunded");
+      expect(await healthToken.balanceOf(researcher.address) - before)
+        .to.equal(ethers.parseEther("100"));
+
+      const { body } = await call("GET", `/api/researcher/${researcher.address}`);
+      const listed = body.requests.find((candidate) => candidate.requestId === requestId);
+      expect(listed.statusLabel).to.equal("Cancelled");
+      expect(listed.expiresAt).to.equal(null);
+
+      const again = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+      expect(again.status).to.equal(409);
+      expect(again.body.code).to.equal("REQUEST_NOT_PENDING");
+    });
+
+    it("Should refuse to cancel an approved request", async function () {
+      const requestId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+
+      const response = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+      expect(response.status).to.equal(409);
+      expect(response.body.code).to.equal("REQUEST_NOT_PENDING");
+
+      await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+    });
+
+    it("Should answer 400 without a requestId and 404 for an unknown one", async function () {
+      const missing = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address },
+        researcherToken
+      );
+      expect(missing.status).to.equal(400);
+
+      const unknown = await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId: ethers.keccak256(ethers.toUtf8Bytes("missing")) },
+        researcherToken
+      );
+      expect(unknown.status).to.equal(404);
+    });
+
+    it("Should report expiry at the contract's requestTimeout when the TTL is shorter", async function () {
+      const requestId = await requestAccess();
+      const requestTimeout = Number(await dataMarketplace.requestTimeout());
+
+      const { body } = await call("GET", `/api/researcher/${researcher.address}`);
+      const listed = body.requests.find((candidate) => candidate.requestId === requestId);
+      expect(requestTimeout).to.be.greaterThan(60 * 60);
+      const { requestedAt } = await dataMarketplace.accessRequests(requestId);
+      expect(listed.expiresAt).to.equal(Number(requestedAt) + requestTimeout);
+
+      await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+    });
+  });
+
+  describe("Negotiation", function () {
+    const counter = (requestId, price, token = patientToken) =>
+      call("POST", "/api/marketplace/counter", { requestId, price }, token);
+    const acceptCounter = (requestId, token = patientToken) =>
+      call("POST", "/api/marketplace/accept-counter", { requestId }, token);
+    const revise = (requestId, price) =>
+      call(
+        "POST",
+        "/api/researcher/request/counter",
+        { walletAddress: researcher.address, requestId, price },
+        researcherToken
+      );
+    const accept = (requestId) =>
+      call(
+        "POST",
+        "/api/researcher/request/accept",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+    const rounds = (request) =>
+      request.negotiation.map(({ party, action, priceFormatted }) => [party, action, priceFormatted]);
+
+    it("Should charge a patient's counter-offer once the researcher accepts it", async function () {
+      const requestId = await requestAccess();
+
+      const nothingToAccept = await accept(requestId);
+      expect(nothingToAccept.status).to.equal(409);
+      expect(nothingToAccept.body.code).to.equal("NO_COUNTER_OFFER");
+
+      const byStranger = await counter(requestId, "150", strangerToken);
+      expect(byStranger.status).to.equal(403);
+
+      const countered = await counter(requestId, "150");
+      expect(countered.status).to.equal(200);
+      expect(countered.body.request).to.include({
+        statusLabel: "Pending",
+        counterBy: "patient",
+        counterOfferFormatted: "150.0",
+        offeredPriceFormatted: "100.0",
+      });
+
+      // Only the researcher answers the patient's own counter-offer
+      const ownCounter = await acceptCounter(requestId);
+      expect(ownCounter.status).to.equal(409);
+      expect(ownCounter.body.code).to.equal("NO_COUNTER_OFFER");
+      const researcherOnPatientRoute = await acceptCounter(requestId, researcherToken);
+      expect(researcherOnPatientRoute.status).to.equal(403);
+
+      const before = await healthToken.balanceOf(researcher.address);
+      const accepted = await accept(requestId);
+      expect(accepted.status).to.equal(200);
+      expect(accepted.body.request).to.include({
+        statusLabel: "Pending",
+        counterBy: null,
+        counterOffer: null,
+        negotiated: true,
+        offeredPriceFormatted: "150.0",
+        escrowAmountFormatted: "150.0",
+      });
+      expect(before - await healthToken.balanceOf(researcher.address))
+        .to.equal(ethers.parseEther("50"));
+      expect(rounds(accepted.body.request)).to.deep.equal([
+        ["researcher", "offer", "100.0"],
+        ["patient", "counter", "150.0"],
+        ["researcher", "accept", "150.0"],
+      ]);
+
+      await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+      const patientBefore = await healthToken.balanceOf(patient.address);
+      await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      expect(await healthToken.balanceOf(patient.address) - patientBefore)
+        .to.equal(ethers.parseEther("142.5"));
+    });
+
+    it("Should refund the difference when the patient accepts a lower revision", async function () {
+      const requestId = await requestAccess("120");
+      await counter(requestId, "130");
+
+      const belowMinimum = await revise(requestId, "90");
+      expect(belowMinimum.status).to.equal(422);
+      expect(belowMinimum.body.code).to.equal("PRICE_BELOW_MINIMUM");
+
+      const revised = await revise(requestId, "110");
+      expect(revised.status).to.equal(200);
+      expect(revised.body.request).to.include({
+        counterBy: "researcher",
+        counterOfferFormatted: "110.0",
+        offeredPriceFormatted: "120.0",
+        escrowAmountFormatted: "120.0",
+      });
+
+      const ownRevision = await accept(requestId);
+      expect(ownRevision.status).to.equal(409);
+      expect(ownRevision.body.code).to.equal("NO_COUNTER_OFFER");
+
+      const before = await healthToken.balanceOf(researcher.address);
+      const accepted = await acceptCounter(requestId);
+      expect(accepted.status).to.equal(200);
+      expect(accepted.body.request).to.include({
+        counterBy: null,
+        offeredPriceFormatted: "110.0",
+        escrowAmountFormatted: "110.0",
+      });
+      expect(await healthToken.balanceOf(researcher.address) - before)
+        .to.equal(ethers.parseEther("10"));
+      expect(rounds(accepted.body.request)).to.deep.equal([
+        ["researcher", "offer", "120.0"],
+        ["patient", "counter", "130.0"],
+        ["researcher", "revise", "110.0"],
+        ["patient", "accept", "110.0"],
+      ]);
+
+      await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+    });
+
+    it("Should drop an open revision on approval and refuse to negotiate afterwards", async function () {
+      const requestId = await requestAccess();
+      await revise(requestId, "130");
+
+      const approved = await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+      expect(approved.body.request).to.include({
+        statusLabel: "Approved",
+        counterBy: null,
+        counterOffer: null,
+        offeredPriceFormatted: "100.0",
+      });
+
+      const countered = await counter(requestId, "150");
+      expect(countered.status).to.equal(409);
+      expect(countered.body.code).to.equal("REQUEST_NOT_PENDING");
+      const revised = await revise(requestId, "130");
+      expect(revised.status).to.equal(409);
+      expect(revised.body.code).to.equal("REQUEST_NOT_PENDING");
+      const accepted = await acceptCounter(requestId);
+      expect(accepted.status).to.equal(409);
+      expect(accepted.body.code).to.equal("NO_COUNTER_OFFER");
+
+      await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+    });
+
+    it("Should answer 400 without a requestId or price and 422 for a zero counter", async function () {
+      const requestId = await requestAccess();
+
+      expect((await counter(requestId, undefined)).status).to.equal(400);
+      expect((await counter(undefined, "150")).status).to.equal(400);
+      expect((await revise(requestId, undefined)).status).to.equal(400);
+      expect((await accept(undefined)).status).to.equal(400);
+      expect((await acceptCounter(undefined)).status).to.equal(400);
+
+      const zero = await counter(requestId, "0");
+      expect(zero.status).to.equal(422);
+      expect(zero.body.code).to.equal("INVALID_PRICE");
+
+      await call(
+        "POST",
+        "/api/researcher/request/cancel",
+        { walletAddress: researcher.address, requestId },
+        researcherToken
+      );
+    });
+  });
+
+  describe("Account gate", function () {
+    it("Should refuse a removed researcher and approvals or completions of their requests", async function () {
+      const pendingId = await requestAccess();
+      const approvedId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId: approvedId }, patientToken);
+
+      const removed = await call(
+        "POST",
+        `/api/admin/allowlist/${researcher.address}/remove`,
+        {},
+        adminToken
+      );
+      expect(removed.status).to.equal(200);
+
+      // The researcher was allowed a moment ago; AccountRemoved drops that cached answer
+      const cancel = () =>
+        call(
+          "POST",
+          "/api/researcher/request/cancel",
+          { walletAddress: researcher.address, requestId: pendingId },
+          researcherToken
+        );
+      const refused = await cancel();
+      expect(refused.status).to.equal(403);
+      expect(refused.body.code).to.equal("ACCOUNT_NOT_PERMITTED");
+      const session = await fetch(`${baseUrl}/api/auth/session`, {
+        headers: { Authorization: `Bearer ${researcherToken}` },
+      });
+      expect((await session.json()).permitted).to.equal(false);
+
+      const approve = await call("POST", "/api/marketplace/approve", { requestId: pendingId }, patientToken);
+      expect(approve.status).to.equal(403);
+      expect(approve.body.code).to.equal("COUNTERPARTY_NOT_PERMITTED");
+
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      const complete = await call("POST", "/api/marketplace/complete", { requestId: approvedId }, patientToken);
+      expect(complete.status).to.equal(403);
+      expect(complete.body.code).to.equal("COUNTERPARTY_NOT_PERMITTED");
+      expect(await healthToken.balanceOf(researcher.address)).to.equal(researcherBefore);
+
+      const restored = await call(
+        "POST",
+        "/api/admin/allowlist",
+        { address: researcher.address, accountType: "research_institution" },
+        adminToken
+      );
+      expect(restored.status).to.equal(200);
+
+      const completed = await call("POST", "/api/marketplace/complete", { requestId: approvedId }, patientToken);
+      expect(completed.status).to.equal(200);
+      expect((await cancel()).status).to.equal(200);
+    });
+
+    it("Should refuse a signed-in wallet that is not on the allowlist", async function () {
+      const [outsider] = (await ethers.getSigners()).slice(6);
+      const outsiderToken = await signIn(outsider);
+
+      const response = await call(
+        "POST",
+        "/api/patient/register",
+        { walletAddress: outsider.address },
+        outsiderToken
+      );
+      expect(response.status).to.equal(403);
+      expect(response.body.code).to.equal("ACCOUNT_NOT_PERMITTED");
+    });
+  });
+
+  describe("Quotes", function () {
+    it("Should quote and escrow the consent's agreed price when it is the highest floor", async function () {
+      await grantConsent("150");
+
+      const { body } = await call(
+        "GET",
+        `/api/quote?wallet=${researcher.address}&listingId=${listingId}`
+      );
+      expect(body.quote.agreedPriceFormatted).to.equal("150.0");
+      expect(body.quote.priceFormatted).to.equal("150.0");
+      expect(body.quote.platformFeeFormatted).to.equal("7.5");
+      expect(body.quote.patientPayoutFormatted).to.equal("142.5");
+
+      const low = await call(
+        "POST",
+        "/api/researcher/request",
+        { walletAddress: researcher.address, listingId, purpose: "Study", offer: "100" },
+        researcherToken
+      );
+      expect(low.status).to.equal(422);
+      expect(low.body.code).to.equal("PRICE_BELOW_BASE");
+
+      const researcherBefore = await healthToken.balanceOf(researcher.address);
+      const response = await call(
+        "POST",
+        "/api/researcher/request",
+        { walletAddress: researcher.address, listingId, purpose: "Study" },
+        researcherToken
+      );
+      expect(response.status).to.equal(200);
+      const { requestId } = response.body.request;
+      expect(response.body.request.escrowAmountFormatted).to.equal("150.0");
+
+      await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+      const patientBefore = await healthToken.balanceOf(patient.address);
+      await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      expect(await healthToken.balanceOf(patient.address) - patientBefore)
+        .to.equal(ethers.parseEther("142.5"));
+      // Nothing beyond the escrow was pulled on completion
+      expect(researcherBefore - await healthToken.balanceOf(researcher.address))
+        .to.equal(ethers.parseEther("150"));
+
+      await grantConsent("100");
+    });
+  });
+
+  describe("Payment permits", function () {
+    async function fetchPermit(amount) {
+      const response = await call(
+        "GET",
+        `/api/researcher/${researcher.address}/payment-permit?amount=${amount}`,
+        null,
+        researcherToken
+      );
+      expect(response.status).to.equal(200);
+      return response.body.permit;
+    }
+
+    async function submitPermit(message, signature) {
+      return call(
+        "POST",
+        "/api/researcher/payment-permit",
+        { walletAddress: researcher.address, value: message.value, deadline: message.deadline, signature },
+        researcherToken
+      );
+    }
+
+    beforeEach(async function () {
+      await healthToken.connect(researcher).approve(await dataMarketplace.getAddress(), 0);
+    });
+
+    after(async function () {
+      await healthToken
+        .connect(researcher)
+        .approve(await dataMarketplace.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should escrow a request from the allowance a signed permit grants", async function () {
+      const refused = await call(
+        "POST",
+        "/api/researcher/request",
+        { walletAddress: researcher.address, listingId, purpose: "Study", offer: "100" },
+        researcherToken
+      );
+      expect(refused.status).to.equal(422);
+      expect(refused.body.code).to.equal("INSUFFICIENT_ALLOWANCE");
+
+      const { domain, types, message } = await fetchPermit("100");
+      expect(message).to.include({
+        owner: researcher.address,
+        spender: await dataMarketplace.getAddress(),
+        value: ethers.parseEther("100").toString(),
+      });
+      const latest = await ethers.provider.getBlock("latest");
+      expect(Number(message.deadline)).to.be.greaterThan(latest.timestamp);
+
+      const signature = await researcher.signTypedData(domain, types, message);
+      const submitted = await submitPermit(message, signature);
+      expect(submitted.status).to.equal(200);
+      expect(submitted.body.allowance).to.equal(message.value);
+
+      const requestId = await requestAccess();
+      const { body } = await call("GET", `/api/researcher/${researcher.address}`);
+      const request = body.requests.find((candidate) => candidate.requestId === requestId);
+      expect(request.escrowStatus).to.equal("held");
+      expect(request.escrowAmountFormatted).to.equal("100.0");
+      expect(await healthToken.allowance(researcher.address, await dataMarketplace.getAddress()))
+        .to.equal(0n);
+
+      const replayed = await submitPermit(message, signature);
+      expect(replayed.status).to.equal(422);
+      expect(replayed.body.code).to.equal("PERMIT_INVALID");
+    });
+
+    it("Should refuse an expired permit, one for another spender and one signed by another wallet", async function () {
+      const { domain, types, message } = await fetchPermit("100");
+
+      const latest = await ethers.provider.getBlock("latest");
+      const stale = { ...message, deadline: String(latest.timestamp - 1) };
+      const expired = await submitPermit(stale, await researcher.signTypedData(domain, types, stale));
+      expect(expired.status).to.equal(422);
+      expect(expired.body.code).to.equal("PERMIT_EXPIRED");
+
+      const elsewhere = { ...message, spender: stranger.address };
+      const wrongSpender = await submitPermit(
+        elsewhere,
+        await researcher.signTypedData(domain, types, elsewhere)
+      );
+      expect(wrongSpender.status).to.equal(422);
+      expect(wrongSpender.body.code).to.equal("PERMIT_INVALID");
+
+      const forged = await submitPermit(message, await stranger.signTypedData(domain, types, message));
+      expect(forged.status).to.equal(422);
+      expect(forged.body.code).to.equal("PERMIT_INVALID");
+
+      const malformed = await submitPermit(message, "0x1234");
+      expect(malformed.status).to.equal(400);
+
+      expect(await healthToken.allowance(researcher.address, await dataMarketplace.getAddress()))
+        .to.equal(0n);
+    });
+  });
+
+  describe("Category applications", function () {
+    it("Should allow one pending application per category and decide it once", async function () {
+      const apply = () =>
+        call(
+          "POST",
+          "/api/researcher/categories",
+          { walletAddress: researcher.address, category: "lifestyle", justification: "Diet study" },
+          researcherToken
+        );
+
+      const applied = await apply();
+      expect(applied.status).to.equal(201);
+      const { id } = applied.body.application;
+      expect((await apply()).status).to.equal(409);
+
+      const denied = await call(
+        "POST",
+        `/api/admin/category-applications/${id}/deny`,
+        { reason: "Study protocol missing" },
+        adminToken
+      );
+      expect(denied.status).to.equal(200);
+      expect(denied.body.application.statusLabel).to.equal("Denied");
+      expect(denied.body.application.decisionReason).to.equal("Study protocol missing");
+      expect(denied.body.application.reviewedBy).to.equal(admin.address);
+
+      const granted = await call(
+        "POST",
+        `/api/admin/category-applications/${id}/grant`,
+        {},
+        adminToken
+      );
+      expect(granted.status).to.equal(409);
+
+      const missing = await call(
+        "POST",
+        "/api/admin/category-applications/missing/deny",
+        { reason: "Unknown" },
+        adminToken
+      );
+      expect(missing.status).to.equal(404);
+
+      expect((await apply()).status).to.equal(201);
+    });
+  });
+
+  describe("Study reports", function () {
+    it("Should refile a rejected report and accept it once", async function () {
+      const requestId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId }, patientToken);
+      await call("POST", "/api/marketplace/complete", { requestId }, patientToken);
+      const submit = () =>
+        call(
+          "POST",
+          "/api/researcher/study-reports",
+          {
+            walletAddress: researcher.address,
+            requestId,
+            doi: "10.1234/sybron.2026",
+            resultsUri: "ipfs://results",
+            successful: true,
+          },
+          researcherToken
+        );
+
+      const first = await submit();
+      expect(first.status).to.equal(201);
+      expect(first.body.report.statusLabel).to.equal("Pending review");
+      expect((await submit()).status).to.equal(409);
+
+      const rejected = await call(
+        "POST",
+        `/api/admin/study-reports/${first.body.report.id}/reject`,
+        { reason: "Results are not public yet" },
+        adminToken
+      );
+      expect(rejected.body.report.statusLabel).to.equal("Rejected");
+
+      const second = await submit();
+      expect(second.status).to.equal(201);
+      const accepted = await call(
+        "POST",
+        `/api/admin/study-reports/${second.body.report.id}/accept`,
+        {},
+        adminToken
+      );
+      expect(accepted.status).to.equal(200);
+      expect(accepted.body.report.statusLabel).to.equal("Accepted");
+
+      const again = await call(
+        "POST",
+        `/api/admin/study-reports/${second.body.report.id}/accept`,
+        {},
+        adminToken
+      );
+      expect(again.status).to.equal(409);
+      expect((await submit()).status).to.equal(409);
+    });
+  });
+
+  describe("Verification queue", function () {
+    it("Should answer 409 when a reviewed application is approved or rejected again", async function () {
+      const approve = await call(
+        "POST",
+        `/api/admin/verifications/${patientApplicationId}/approve`,
+        {},
+        adminToken
+      );
+      expect(approve.status).to.equal(409);
+
+      const reject = await call(
+        "POST",
+        `/api/admin/verifications/${patientApplicationId}/reject`,
+        { reason: "Documents expired" },
+        adminToken
+      );
+      expect(reject.status).to.equal(409);
+
+      const { body } = await call(
+        "GET",
+        `/api/admin/verifications/${patientApplicationId}`,
+        null,
+        adminToken
+      );
+      expect(body.application.statusLabel).to.equal("Verified");
+    });
+
+    it("Should answer 404 for an unknown application", async function () {
+      const response = await call("POST", "/api/admin/verifications/missing/approve", {}, adminToken);
+
+      expect(response.status).to.equal(404);
+    });
+
+    it("Should put a rejected application back in the queue when the applicant registers again", async function () {
+      const [applicant] = (await ethers.getSigners()).slice(4);
+      const applicantToken = await signIn(applicant);
+      const register = () =>
+        call("POST", "/api/researcher/register", { walletAddress: applicant.address }, applicantToken);
+
+      const registered = await register();
+      expect(registered.status).to.equal(200);
+      const { applicationId } = registered.body;
+
+      const rejected = await call(
+        "POST",
+        `/api/admin/verifications/${applicationId}/reject`,
+        { reason: "Credentials unreadable" },
+        adminToken
+      );
+      const firstSubmission = rejected.body.application.submittedAt;
+
+      const resubmitted = await register();
+      expect(resubmitted.status).to.equal(200);
+      expect(resubmitted.body.applicationId).to.equal(applicationId);
+
+      const { body } = await call(
+        "GET",
+        `/api/admin/verifications/${applicationId}`,
+        null,
+        adminToken
+      );
+      expect(body.application.statusLabel).to.equal("Pending");
+      expect(body.application.submittedAt > firstSubmission).to.equal(true);
+      expect(body.application.rejectionReason).to.equal(null);
+      expect(body.application.reviewedBy).to.equal(null);
+
+      const again = await register();
+      expect(again.status).to.equal(409);
+
+      const approved = await call(
+        "POST",
+        `/api/admin/verifications/${applicationId}/approve`,
+        {},
+        adminToken
+      );
+      expect(approved.status).to.equal(200);
+    });
+
+    it("Should backfill applications for registrations made outside the queue", async function () {
+      const patientId = ethers.keccak256(ethers.toUtf8Bytes("patient-before-queue"));
+      await patientRegistry.registerPatient(patientId, stranger.address, "ipfs://meta");
+
+      const forbidden = await call("POST", "/api/admin/verifications/backfill", {}, strangerToken);
+      expect(forbidden.status).to.equal(403);
+
+      const backfill = await call("POST", "/api/admin/verifications/backfill", {}, adminToken);
+      expect(backfill.status).to.equal(200);
+      expect(backfill.body.applications).to.have.lengthOf(1);
+      const [application] = backfill.body.applications;
+      expect(application.subjectId).to.equal(patientId);
+      expect(application.statusLabel).to.equal("Pending");
+
+      const again = await call("POST", "/api/admin/verifications/backfill", {}, adminToken);
+      expect(again.body.applications).to.have.lengthOf(0);
+
+      const approved = await call(
+        "POST",
+        `/api/admin/verifications/${application.id}/approve`,
+        {},
+        adminToken
+      );
+      expect(approved.status).to.equal(200);
+      expect(await patientRegistry.isVerified(patientId)).to.equal(true);
+    });
+  });
+
+  describe("Revenue", function () {
+    async function revenue(query = "") {
+      const response = await call("GET", `/api/admin/revenue${query}`, null, adminToken);
+      expect(response.status).to.equal(200);
+      return response.body.report;
+    }
+
+    async function settlements() {
+      const logs = [
+        ...(await dataMarketplace.queryFilter(dataMarketplace.filters.AccessCompleted())),
+        ...(await dataMarketplace.queryFilter(dataMarketplace.filters.ExpiredAccessSettled())),
+      ];
+      return logs.map((log) => ({
+        requestId: log.args.requestId,
+        patientPayout: log.args.patientPayout,
+        platformFee: log.args.platformFee,
+      }));
+    }
+
+    it("Should total every indexed settlement, expired payouts included, with each fee split", async function () {
+      const before = await revenue();
+      const feesBefore = await healthToken.balanceOf(admin.address);
+
+      const completedId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId: completedId }, patientToken);
+      await call("POST", "/api/marketplace/complete", { requestId: completedId }, patientToken);
+
+      // Settle the expired request at a different fee, so each payment keeps its own split
+      const raised = await call("POST", "/api/admin/fees", { feeBps: 1000 }, adminToken);
+      expect(raised.body.fees.platformFeeBps).to.equal(1000);
+      const expiredId = await requestAccess();
+      await call("POST", "/api/marketplace/approve", { requestId: expiredId }, patientToken);
+      await time.increase(await dataMarketplace.requestTimeout());
+      const settled = await call("POST", "/api/marketplace/expire", { requestId: expiredId }, patientToken);
+      expect(settled.status).to.equal(200);
+      await call("POST", "/api/admin/fees", { feeBps: 500 }, adminToken);
+
+      const onChain = await settlements();
+      const split = (requestId) => onChain.find((settlement) => settlement.requestId === requestId);
+      expect(split(completedId)).to.include({
+        patientPayout: ethers.parseEther("95"),
+        platformFee: ethers.parseEther("5"),
+      });
+      expect(split(expiredId)).to.include({
+        patientPayout: ethers.parseEther("90"),
+        platformFee: ethers.parseEther("10"),
+      });
+
+      const report = await revenue("?period=day");
+      const sum = (key) => onChain.reduce((total, settlement) => total + settlement[key], 0n);
+      expect(report.totals.payments).to.equal(onChain.length);
+      expect(report.totals.platformFees).to.equal(sum("platformFee").toString());
+      expect(report.totals.patientPayouts).to.equal(sum("patientPayout").toString());
+      expect(report.totals.volume).to.equal((sum("platformFee") + sum("patientPayout")).toString());
+      expect(report.totals.platformFeesFormatted).to.equal(ethers.formatEther(sum("platformFee")));
+
+      expect(report.totals.payments - before.totals.payments).to.equal(2);
+      expect(BigInt(report.totals.platformFees) - BigInt(before.totals.platformFees)).to.equal(
+        ethers.parseEther("15")
+      );
+      expect(await healthToken.balanceOf(admin.address) - feesBefore).to.equal(ethers.parseEther("15"));
+
+      // Every listing here is in one category, and every payment falls in some day
+      expect(report.byCategory).to.have.lengthOf(1);
+      expect(report.byCategory[0]).to.include({ category: "vitals", ...report.totals });
+      const periodFees = report.byPeriod.reduce((total, entry) => total + BigInt(entry.platformFees), 0n);
+      expect(periodFees.toString()).to.equal(report.totals.platformFees);
+    });
+
+    it("Should answer 400 for an unknown period or date", async function () {
+      const period = await call("GET", "/api/admin/revenue?period=year", null, adminToken);
+      expect(period.status).to.equal(400);
+
+      const from = await call("GET", "/api/admin/revenue?from=yesterday", null, adminToken);
+      expect(from.status).to.equal(400);
+
+      const forbidden = await call("GET", "/api/admin/revenue", null, patientToken);
+      expect(forbidden.status).to.equal(403);
+    });
+  });
+
+  describe("Consent templates", function () {
+    const createTemplate = (fields, headers = {}) =>
+      fetch(`${baseUrl}/api/admin/consent-templates`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", Authorization: `Bearer ${adminToken}`, ...headers },
+        body: JSON.stringify({ name: "Academic, non-commercial", maxAccessCount: 3, ...fields }),
+      }).then(async (response) => ({ status: response.status, body: await response.json() }));
+
+    it("Should return and grant the template a request created, whatever its name", async function () {
+      const sixMonths = await createTemplate({ durationDays: 180 });
+      expect(sixMonths.status).to.equal(200);
+      const oneYear = await createTemplate({ durationDays: 365, maxAccessCount: 5 });
+      expect(oneYear.status).to.equal(200);
+
+      expect(oneYear.body.template.templateId).to.equal(sixMonths.body.template.templateId + 1);
+      expect(sixMonths.body.template).to.include({ durationDays: 180, maxAccessCount: 3 });
+      expect(oneYear.body.template).to.include({ durationDays: 365, maxAccessCount: 5 });
+
+      const { body } = await call("GET", "/api/consent-templates");
+      const byId = Object.fromEntries(body.templates.map((template) => [template.templateId, template]));
+      expect(byId[sixMonths.body.template.templateId].durationDays).to.equal(180);
+      expect(byId[oneYear.body.template.templateId].durationDays).to.equal(365);
+
+      const granted = await call(
+        "POST",
+        "/api/patient/consent",
+        {
+          walletAddress: patient.address,
+          researcherId,
+          category: "vitals",
+          templateId: sixMonths.body.template.templateId,
+          agreedPrice: "100",
+        },
+        patientToken
+      );
+      expect(granted.status).to.equal(200);
+      expect(granted.body.consent.maxAccessCount).to.equal(3);
+      expect(granted.body.consent.expiresAt - granted.body.consent.grantedAt).to.equal(180 * 24 * 60 * 60);
+    });
+
+    it("Should return the created template as the result of an async job", async function () {
+      const job = await createTemplate({ durationDays: 30 }, { Prefer: "respond-async" });
+      expect(job.status).to.equal(202);
+
+      let result = null;
+      while (!result) {
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        const { body } = await call("GET", `/api/jobs/${job.body.jobId}`, null, adminToken);
+        expect(body.status).to.not.equal("failed");
+        result = body.result;
+      }
+      expect(result.template).to.include({ name: "Academic, non-commercial", durationDays: 30 });
+    });
+
+    it("Should answer 404 for a template id that does not exist", async function () {
+      const response = await call(
+        "POST",
+        "/api/patient/consent",
+        { walletAddress: patient.address, researcherId, category: "vitals", templateId: 999 },
+        patientToken
+      );
+
+      expect(response.status).to.equal(404);
+    });
+  });
+
+  describe("Nodes", function () {
+    const enode = (digit, port) => `enode://${digit.repeat(128)}@10.0.0.${digit}:${port}`;
+
+    it("Should list removed and deactivated nodes with their own status", async function () {
+      const nodes = [
+        { enode: enode("1", 30303), nodeType: "validator" },
+        { enode: enode("2", 30303), nodeType: "validator" },
+        { enode: enode("3", 30304), nodeType: "observer" },
+      ];
+      for (const node of nodes) {
+        const added = await call(
+          "POST",
+          "/api/admin/nodes",
+          { ...node, organizationName: "Sybron Clinic" },
+          adminToken
+        );
+        expect(added.status).to.equal(200);
+        expect(added.body.node.status).to.equal("active");
+      }
+
+      const deactivated = await call(
+        "POST",
+        "/api/admin/nodes/deactivate",
+        { enode: nodes[1].enode },
+        adminToken
+      );
+      expect(deactivated.body.node.status).to.equal("deactivated");
+      const removed = await call("POST", "/api/admin/nodes/remove", { enode: nodes[2].enode }, adminToken);
+      expect(removed.body.node.status).to.equal("removed");
+
+      const { body } = await call("GET", "/api/admin/nodes", null, adminToken);
+      const byUrl = Object.fromEntries(body.nodes.map((node) => [node.enodeUrl, node]));
+      expect(byUrl[nodes[0].enode]).to.include({ status: "active", statusLabel: "Active", isActive: true });
+      expect(byUrl[nodes[1].enode]).to.include({
+        status: "deactivated",
+        statusLabel: "Deactivated",
+        isActive: false,
+      });
+      expect(byUrl[nodes[2].enode]).to.include({
+        status: "removed",
+        statusLabel: "Removed",
+        isActive: false,
+      });
+
+      const reactivateRemoved = await call(
+        "POST",
+        "/api/admin/nodes/reactivate",
+        { enode: nodes[2].enode },
+        adminToken
+      );
+      expect(reactivateRemoved.status).to.equal(409);
+      expect(reactivateRemoved.body.code).to.equal("NODE_REMOVED");
+
+      const reactivated = await call(
+        "POST",
+        "/api/admin/nodes/reactivate",
+        { enode: nodes[1].enode },
+        adminToken
+      );
+      expect(reactivated.status).to.equal(200);
+      expect(reactivated.body.node.status).to.equal("active");
+    });
+
+    it("Should answer 400 for an enode URL without a port", async function () {
+      const response = await call(
+        "POST",
+        "/api/admin/nodes",
+        { enode: `enode://${"4".repeat(128)}@10.0.0.4`, nodeType: "validator", organizationName: "Lab" },
+        adminToken
+      );
+
+      expect(response.status).to.equal(400);
+    });
+  });
+});
@@ -0,0 +1,101 @@
+const { expect } = require("chai");
+const { parseNodeType, parseEnodeUrl } = require("../server/nodes");
+
+const PUBLIC_KEY = `${"ab".repeat(32)}${"cd".repeat(32)}`;
+
+describe("Enode URLs", function () {
+  it("Should split the public key into the halves NodeRules takes", function () {
+    const enode = parseEnodeUrl(`enode://${PUBLIC_KEY}@10.0.0.1:30303`);
+
+    expect(enode.enodeHigh).to.equal(`0x${"ab".repeat(32)}`);
+    expect(enode.enodeLow).to.equal(`0x${"cd".repeat(32)}`);
+    expect(enode.host).to.equal("10.0.0.1");
+    expect(enode.port).to.equal(30303);
+    expect(enode.enodeUrl).to.equal(`enode://${PUBLIC_KEY}@10.0.0.1:30303`);
+  });
+
+  it("Should lowercase the public key and drop a discport suffix", function () {
+    const enode = parseEnodeUrl(`enode://${PUBLIC_KEY.toUpperCase()}@node-1.sybron.health:30303?discport=30301`);
+
+    expect(enode.publicKey).to.equal(PUBLIC_KEY);
+    expect(enode.host).to.equal("node-1.sybron.health");
+    expect(enode.enodeUrl).to.equal(`enode://${PUBLIC_KEY}@node-1.sybron.health:30303`);
+  });
+
+  it("Should accept a bracketed IPv6 host and print it bracketed", function () {
+    const enode = parseEnodeUrl(`enode://${PUBLIC_KEY}@[fd00::1]:30303`);
+
+    expect(enode.host).to.equal("fd00::1");
+    expect(enode.enodeUrl).to.equal(`enode://${PUBLIC_KEY}@[fd00::1]:30303`);
+  });
+
+  it("Should refuse a bracketed host that is not an IPv6 address", function () {
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@[fd00::zz]:30303`)).to.throw(
+      "Invalid enode URL"
+    );
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@[1:2]:30303`)).to.throw(
+      'Invalid enode host "1:2"'
+    );
+  });
+
+  it("Should refuse a public key that is not 128 hex characters", function () {
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY.slice(2)}@10.0.0.1:30303`)).to.throw(
+      "Invalid enode URL"
+    );
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}ab@10.0.0.1:30303`)).to.throw(
+      "Invalid enode URL"
+    );
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY.replace("a", "g")}@10.0.0.1:30303`)).to.throw(
+      "Invalid enode URL"
+    );
+  });
+
+  it("Should refuse a host without a port and a port out of range", function () {
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@10.0.0.1`)).to.throw("Invalid enode URL");
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@10.0.0.1:`)).to.throw("Invalid enode URL");
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@10.0.0.1:0`)).to.throw("Invalid enode port");
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@10.0.0.1:65536`)).to.throw(
+      "Invalid enode port"
+    );
+  });
+
+  it("Should refuse a malformed hostname", function () {
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}@-node.sybron:30303`)).to.throw(
+      'Invalid enode host "-node.sybron"'
+    );
+  });
+
+  it("Should only require the endpoint when asked to", function () {
+    const enode = parseEnodeUrl(`enode://${PUBLIC_KEY}`);
+    expect(enode.host).to.equal(null);
+    expect(enode.port).to.equal(null);
+    expect(enode.enodeUrl).to.equal(`enode://${PUBLIC_KEY}`);
+
+    expect(() => parseEnodeUrl(`enode://${PUBLIC_KEY}`, { requireEndpoint: true })).to.throw(
+      "The enode URL needs a host and port"
+    );
+  });
+
+  it("Should answer 400 for an empty value", function () {
+    try {
+      parseEnodeUrl(undefined);
+      expect.fail("parseEnodeUrl should have thrown");
+    } catch (error) {
+      expect(error.status).to.equal(400);
+    }
+  });
+});
+
+describe("Node types", function () {
+  it("Should resolve a node type by key or enum value", function () {
+    expect(parseNodeType("validator")).to.equal(1);
+    expect(parseNodeType(" Observer ")).to.equal(2);
+    expect(parseNodeType(3)).to.equal(3);
+  });
+
+  it("Should refuse Unknown and out-of-range types", function () {
+    expect(() => parseNodeType("unknown")).to.throw("Invalid node type");
+    expect(() => parseNodeType(0)).to.throw("Invalid node type");
+    expect(() => parseNodeType(4)).to.throw("Invalid node type");
+  });
+});
@@ -0,0 +1,189 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const { CATEGORY_BYTES } = require("../server/categories");
+const { parseListingQuery, searchListings } = require("../server/search");
+
+function listing(listingId, fields) {
+  return {
+    listingId,
+    patientId: ethers.ZeroHash,
+    dataCategory: CATEGORY_BYTES.vitals,
+    dataDescription: "Daily blood pressure readings",
+    basePrice: ethers.parseEther("100").toString(),
+    createdAt: 1700000000,
+    isActive: true,
+    totalAccesses: 0,
+    ...fields,
+  };
+}
+
+const LISTINGS = [
+  listing("1", { createdAt: 1700000100, basePrice: ethers.parseEther("50").toString() }),
+  listing("2", {
+    dataCategory: CATEGORY_BYTES.genomics,
+    dataDescription: "Whole genome sequence, BRCA1 carrier",
+    createdAt: 1700000200,
+    basePrice: ethers.parseEther("400").toString(),
+    totalAccesses: 7,
+  }),
+  listing("3", { createdAt: 1700000300, totalAccesses: 2 }),
+  listing("4", {
+    dataDescription: "Resting heart rate and blood oxygen",
+    createdAt: 1700000300,
+    basePrice: ethers.parseEther("150").toString(),
+    totalAccesses: 2,
+  }),
+];
+
+function search(query) {
+  return searchListings(LISTINGS, parseListingQuery(query));
+}
+
+function ids(result) {
+  return result.listings.map((entry) => entry.listingId);
+}
+
+function encodePosition(value, id) {
+  return Buffer.from(JSON.stringify({ v: value.toString(), id })).toString("base64url");
+}
+
+describe("Listing search", function () {
+  describe("parseListingQuery", function () {
+    it("Should default to the newest listings, 20 at a time, without filters", function () {
+      expect(parseListingQuery({})).to.deep.equal({
+        category: null,
+        minPrice: null,
+        maxPrice: null,
+        minAccesses: null,
+        createdAfter: null,
+        terms: [],
+        sort: "newest",
+        limit: 20,
+        cursor: null,
+      });
+    });
+
+    it("Should parse prices in HEALTH, dates and lowercase search terms", function () {
+      const options = parseListingQuery({
+        category: "genomics",
+        minPrice: "0.5",
+        maxPrice: "200",
+        minAccesses: "3",
+        createdAfter: "2024-01-01T00:00:00Z",
+        q: "  BRCA1   Carrier ",
+        sort: "price_desc",
+        limit: "5",
+      });
+
+      expect(options).to.include({ category: "genomics", minAccesses: 3, sort: "price_desc", limit: 5 });
+      expect(options.minPrice).to.equal(ethers.parseEther("0.5"));
+      expect(options.maxPrice).to.equal(ethers.parseEther("200"));
+      expect(options.createdAfter).to.equal(1704067200);
+      expect(options.terms).to.deep.equal(["brca1", "carrier"]);
+      expect(parseListingQuery({ createdAfter: "1704067200" }).createdAfter).to.equal(1704067200);
+    });
+
+    it("Should treat empty parameters as unset", function () {
+      const options = parseListingQuery({ minPrice: "", maxPrice: "", minAccesses: "", createdAfter: "" });
+
+      expect(options).to.include({ minPrice: null, maxPrice: null, minAccesses: null, createdAfter: null });
+    });
+
+    it("Should refuse an unknown category or sort", function () {
+      expect(() => parseListingQuery({ category: "dental" })).to.throw("Invalid category");
+      expect(() => parseListingQuery({ sort: "cheapest" })).to.throw("Invalid sort");
+    });
+
+    it("Should refuse invalid and negative numbers", function () {
+      expect(() => parseListingQuery({ minPrice: "ten" })).to.throw("Invalid minPrice");
+      expect(() => parseListingQuery({ maxPrice: "-1" })).to.throw("Invalid maxPrice");
+      expect(() => parseListingQuery({ minAccesses: "1.5" })).to.throw("Invalid minAccesses");
+      expect(() => parseListingQuery({ minAccesses: "-2" })).to.throw("Invalid minAccesses");
+      expect(() => parseListingQuery({ createdAfter: "last week" })).to.throw("Invalid createdAfter");
+    });
+
+    it("Should refuse a price range whose minimum is above its maximum", function () {
+      expect(() => parseListingQuery({ minPrice: "200", maxPrice: "100" })).to.throw(
+        "minPrice cannot be greater than maxPrice"
+      );
+      expect(parseListingQuery({ minPrice: "100", maxPrice: "100" }).minPrice).to.equal(
+        ethers.parseEther("100")
+      );
+    });
+
+    it("Should keep limit between 1 and 100", function () {
+      expect(parseListingQuery({ limit: "1" }).limit).to.equal(1);
+      expect(parseListingQuery({ limit: "100" }).limit).to.equal(100);
+      expect(() => parseListingQuery({ limit: "0" })).to.throw("limit must be between 1 and 100");
+      expect(() => parseListingQuery({ limit: "101" })).to.throw("limit must be between 1 and 100");
+      expect(() => parseListingQuery({ limit: "ten" })).to.throw("Invalid limit");
+    });
+
+    it("Should refuse a cursor that does not decode", function () {
+      expect(() => parseListingQuery({ cursor: "not-a-cursor" })).to.throw("Invalid cursor");
+    });
+
+    it("Should answer 400 for every invalid parameter", function () {
+      try {
+        parseListingQuery({ limit: "0" });
+        expect.fail("parseListingQuery should have thrown");
+      } catch (error) {
+        expect(error.status).to.equal(400);
+      }
+    });
+  });
+
+  describe("searchListings", function () {
+    it("Should filter by category, price range, accesses and creation time", function () {
+      expect(ids(search({ category: "genomics" }))).to.deep.equal(["2"]);
+      expect(ids(search({ minPrice: "100", maxPrice: "150" }))).to.deep.equal(["3", "4"]);
+      expect(ids(search({ minAccesses: "2" }))).to.deep.equal(["3", "4", "2"]);
+      expect(ids(search({ createdAfter: "1700000200" }))).to.deep.equal(["3", "4"]);
+    });
+
+    it("Should require every search term in the description", function () {
+      expect(ids(search({ q: "blood" }))).to.deep.equal(["3", "4", "1"]);
+      expect(ids(search({ q: "blood oxygen" }))).to.deep.equal(["4"]);
+      expect(ids(search({ q: "blood genome" }))).to.deep.equal([]);
+    });
+
+    it("Should sort and break ties on the listing id", function () {
+      expect(ids(search({ sort: "oldest" }))).to.deep.equal(["1", "2", "3", "4"]);
+      expect(ids(search({ sort: "price_asc" }))).to.deep.equal(["1", "3", "4", "2"]);
+      expect(ids(search({ sort: "price_desc" }))).to.deep.equal(["2", "4", "3", "1"]);
+      expect(ids(search({ sort: "popular" }))).to.deep.equal(["2", "3", "4", "1"]);
+    });
+
+    it("Should page through every match once with the returned cursor", function () {
+      const first = search({ limit: "3" });
+      expect(ids(first)).to.deep.equal(["3", "4", "2"]);
+      expect(first.total).to.equal(4);
+
+      const second = search({ limit: "3", cursor: first.nextCursor });
+      expect(ids(second)).to.deep.equal(["1"]);
+      expect(second.total).to.equal(4);
+      expect(second.nextCursor).to.equal(null);
+    });
+
+    it("Should not return a cursor when the page ends exactly on the last match", function () {
+      const page = search({ limit: "4" });
+
+      expect(page.listings).to.have.lengthOf(4);
+      expect(page.nextCursor).to.equal(null);
+    });
+
+    it("Should return an empty page past the last match", function () {
+      const last = search({ sort: "oldest", limit: "3" });
+      const tail = search({ sort: "oldest", limit: "3", cursor: last.nextCursor });
+      expect(ids(tail)).to.deep.equal(["4"]);
+
+      const beyond = searchListings(
+        LISTINGS,
+        parseListingQuery({ sort: "oldest", cursor: encodePosition(1700000400n, "9") })
+      );
+      expect(beyond.listings).to.deep.equal([]);
+      expect(beyond.total).to.equal(4);
+      expect(beyond.nextCursor).to.equal(null);
+    });
+  });
+});
@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const { createRequestSweeper } = require("../server/sweeper");
+
+const REQUEST_TIMEOUT = 3600;
+const NOW = 1700000000;
+
+// Status values follow DataMarketplace.RequestStatus
+function request(requestId, status, age) {
+  return { requestId, status, requestedAt: NOW - age };
+}
+
+function setup({ requests = [], ttlSeconds = 0, failing = [] } = {}) {
+  const sent = [];
+  const counts = { syncs: 0, runs: 0 };
+  const contracts = {
+    DataMarketplace: {
+      requestTimeout: async () => BigInt(REQUEST_TIMEOUT),
+      expireAccess: async (requestId) => {
+        if (failing.includes(requestId)) throw new Error("Not expired");
+        sent.push(requestId);
+      },
+    },
+  };
+  const transactions = {
+    run: async (label, steps) => {
+      counts.runs += 1;
+      for (const step of steps) await step.send();
+    },
+  };
+  const indexer = {
+    sync: async () => {
+      counts.syncs += 1;
+    },
+    getRequests: () => requests,
+  };
+  const provider = { getBlock: async () => ({ timestamp: NOW }) };
+
+  const sweeper = createRequestSweeper({ provider, contracts, indexer, transactions, ttlSeconds });
+  return { sweeper, sent, counts };
+}
+
+describe("Request sweeper", function () {
+  it("Should raise a TTL shorter than the contract's requestTimeout to that timeout", async function () {
+    expect(await setup({ ttlSeconds: 60 }).sweeper.getTtl()).to.equal(REQUEST_TIMEOUT);
+    expect(await setup({ ttlSeconds: 0 }).sweeper.getTtl()).to.equal(REQUEST_TIMEOUT);
+    expect(await setup({ ttlSeconds: 7200 }).sweeper.getTtl()).to.equal(7200);
+  });
+
+  it("Should expire pending and approved requests once they reach the TTL", async function () {
+    const { sweeper, sent, counts } = setup({
+      ttlSeconds: 7200,
+      requests: [
+        request("pending-stale", 0, 7200),
+        request("approved-stale", 1, 9000),
+        request("pending-fresh", 0, 7199),
+        request("approved-fresh", 1, REQUEST_TIMEOUT),
+        request("rejected", 2, 9000),
+        request("completed", 3, 9000),
+        request("cancelled", 4, 9000),
+        request("expired", 5, 9000),
+      ],
+    });
+
+    expect(await sweeper.sweep()).to.deep.equal(["pending-stale", "approved-stale"]);
+    expect(sent).to.deep.equal(["pending-stale", "approved-stale"]);
+    // Once before looking for stale requests and once after expiring them
+    expect(counts.syncs).to.equal(2);
+  });
+
+  it("Should use the contract's requestTimeout when the TTL is shorter", async function () {
+    const { sweeper } = setup({
+      ttlSeconds: 60,
+      requests: [request("too-young", 0, 600), request("timed-out", 0, REQUEST_TIMEOUT)],
+    });
+
+    expect(await sweeper.sweep()).to.deep.equal(["timed-out"]);
+  });
+
+  it("Should not resync the index when nothing was expired", async function () {
+    const { sweeper, counts } = setup({ requests: [request("fresh", 0, 10)] });
+
+    expect(await sweeper.sweep()).to.deep.equal([]);
+    expect(counts.syncs).to.equal(1);
+    expect(counts.runs).to.equal(0);
+  });
+
+  it("Should keep expiring the other requests when one expiry fails", async function () {
+    const { sweeper } = setup({
+      failing: ["refused"],
+      requests: [request("refused", 0, 9000), request("stale", 1, 9000)],
+    });
+
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (...args) => logged.push(args.join(" "));
+    try {
+      expect(await sweeper.sweep()).to.deep.equal(["stale"]);
+    } finally {
+      console.error = consoleError;
+    }
+    expect(logged).to.have.lengthOf(1);
+    expect(logged[0]).to.include("refused");
+  });
+
+  it("Should share a running sweep with overlapping calls", async function () {
+    const { sweeper, sent } = setup({ requests: [request("stale", 0, 9000)] });
+
+    const first = sweeper.sweep();
+    expect(sweeper.sweep()).to.equal(first);
+    await first;
+    expect(sent).to.deep.equal(["stale"]);
+
+    // The next call after a sweep finished starts a new one
+    expect(await sweeper.sweep()).to.deep.equal(["stale"]);
+  });
+});